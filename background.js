@@ -8,8 +8,23 @@ class SettingsManager {
     this.defaultSettings = {
       readingMode: 'click',
       readingTargetLang: 'tr',
+      displayStyle: 'replace',
+      bilingualOrder: 'originalFirst',
+      bilingualCollapsed: false,
+      hoverDelay: 600,
+      selectionTranslation: true,
+      translateEmbeds: true,
+      channelRules: [],
+      authorRules: [],
+      skipOwnMessages: false,
+      skipBotMessages: false,
       writingEnabled: true,
       writingTargetLang: 'en',
+      provider: 'google',
+      providerSettings: {},
+      fallbackProviders: [],
+      cacheMaxEntries: 5000,
+      cacheTtlHours: 168,
       customShortcut: {
         ctrl: true,
         shift: false,
@@ -18,12 +33,13 @@ class SettingsManager {
       }
     };
 
-    // Hardcoded Google Translate API Key
-    this.apiKey = 'YOUR_API_KEY';
-
     this.supportedLanguages = [
       'tr', 'en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh', 'ar'
     ];
+
+    this.maxRuleNameLength = 50;
+    // All settings are synced as a single item, rules and provider settings share its quota
+    this.maxSyncedBytes = (chrome.storage && chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES_PER_ITEM) || 8192;
   }
 
   // Validate settings object
@@ -36,8 +52,14 @@ class SettingsManager {
     }
 
     // Validate readingMode
-    if (settings.readingMode && !['auto', 'click'].includes(settings.readingMode)) {
-      errors.push('Reading mode must be "auto" or "click"');
+    if (settings.readingMode && !['auto', 'click', 'hover'].includes(settings.readingMode)) {
+      errors.push('Reading mode must be "auto", "click" or "hover"');
+    }
+
+    // Validate hover delay
+    if (settings.hoverDelay !== undefined &&
+      (!Number.isInteger(settings.hoverDelay) || settings.hoverDelay < 100 || settings.hoverDelay > 3000)) {
+      errors.push('Hover delay must be between 100 and 3000 ms');
     }
 
     // Validate readingTargetLang
@@ -45,6 +67,29 @@ class SettingsManager {
       errors.push('Invalid reading target language');
     }
 
+    // Validate selectionTranslation
+    if (settings.selectionTranslation !== undefined && typeof settings.selectionTranslation !== 'boolean') {
+      errors.push('Selection translation must be a boolean');
+    }
+
+    // Validate translateEmbeds
+    if (settings.translateEmbeds !== undefined && typeof settings.translateEmbeds !== 'boolean') {
+      errors.push('Embed translation must be a boolean');
+    }
+
+    // Validate display style, translations replace the original or are shown beneath it
+    if (settings.displayStyle && !['replace', 'bilingual'].includes(settings.displayStyle)) {
+      errors.push('Display style must be "replace" or "bilingual"');
+    }
+
+    if (settings.bilingualOrder && !['originalFirst', 'translationFirst'].includes(settings.bilingualOrder)) {
+      errors.push('Bilingual order must be "originalFirst" or "translationFirst"');
+    }
+
+    if (settings.bilingualCollapsed !== undefined && typeof settings.bilingualCollapsed !== 'boolean') {
+      errors.push('Bilingual collapsed must be a boolean');
+    }
+
     // Validate writingEnabled
     if (settings.writingEnabled !== undefined && typeof settings.writingEnabled !== 'boolean') {
       errors.push('Writing enabled must be a boolean');
@@ -55,7 +100,66 @@ class SettingsManager {
       errors.push('Invalid writing target language');
     }
 
-    // API key validation removed - now hardcoded
+    // Validate provider
+    if (settings.provider && !translationService.providers.has(settings.provider)) {
+      errors.push('Unknown translation provider');
+    }
+
+    // Validate fallbackProviders
+    if (settings.fallbackProviders !== undefined &&
+      (!Array.isArray(settings.fallbackProviders) ||
+        settings.fallbackProviders.some(providerId => !translationService.providers.has(providerId)))) {
+      errors.push('Fallback providers must be a list of known providers');
+    }
+
+    // Validate providerSettings
+    if (settings.providerSettings !== undefined &&
+      (!settings.providerSettings || typeof settings.providerSettings !== 'object')) {
+      errors.push('Provider settings must be an object');
+    } else if (settings.provider && translationService.providers.has(settings.provider)) {
+      // Validate settings of the selected provider
+      const providerConfig = (settings.providerSettings && settings.providerSettings[settings.provider]) || {};
+      errors.push(...translationService.providers.get(settings.provider).validateConfig(providerConfig));
+    }
+
+    // Validate cache limits
+    if (settings.cacheMaxEntries !== undefined &&
+      (!Number.isInteger(settings.cacheMaxEntries) || settings.cacheMaxEntries < 100 || settings.cacheMaxEntries > 50000)) {
+      errors.push('Cache size must be between 100 and 50000 entries');
+    }
+
+    if (settings.cacheTtlHours !== undefined &&
+      (!Number.isInteger(settings.cacheTtlHours) || settings.cacheTtlHours < 1 || settings.cacheTtlHours > 720)) {
+      errors.push('Cache lifetime must be between 1 and 720 hours');
+    }
+
+    // Validate channel rules
+    if (settings.channelRules !== undefined) {
+      errors.push(...this.validateChannelRules(settings.channelRules));
+    }
+
+    // Validate author rules
+    if (settings.authorRules !== undefined) {
+      errors.push(...this.validateAuthorRules(settings.authorRules));
+    }
+
+    if (settings.skipOwnMessages !== undefined && typeof settings.skipOwnMessages !== 'boolean') {
+      errors.push('Skip own messages must be a boolean');
+    }
+
+    if (settings.skipBotMessages !== undefined && typeof settings.skipBotMessages !== 'boolean') {
+      errors.push('Skip bot messages must be a boolean');
+    }
+
+    // API keys are validated per provider, they are stored separately in ApiKeyStore
+
+    // Only a valid object can be measured, sync rejects items above its quota
+    if (errors.length === 0) {
+      const size = this.getSyncedSize(settings);
+      if (size > this.maxSyncedBytes) {
+        errors.push(`Settings take ${size} of ${this.maxSyncedBytes} bytes that can be synced, remove some rules or shorten their names`);
+      }
+    }
 
     return {
       isValid: errors.length === 0,
@@ -63,6 +167,245 @@ class SettingsManager {
     };
   }
 
+  // Settings where every invalid field falls back to its default and invalid rules are left out
+  repairSettings(settings) {
+    const repaired = { ...settings };
+    const grouped = ['provider', 'providerSettings', 'channelRules', 'authorRules'];
+
+    Object.keys(this.defaultSettings)
+      .filter(key => !grouped.includes(key))
+      .forEach(key => {
+        if (!this.validateSettings({ [key]: repaired[key] }).isValid) {
+          repaired[key] = this.defaultSettings[key];
+        }
+      });
+
+    // The provider is checked with its settings, which are kept for the other providers
+    if (!repaired.providerSettings || typeof repaired.providerSettings !== 'object') {
+      repaired.providerSettings = this.defaultSettings.providerSettings;
+    }
+    if (!this.validateSettings({ provider: repaired.provider, providerSettings: repaired.providerSettings }).isValid) {
+      repaired.provider = this.defaultSettings.provider;
+    }
+
+    // Rules are kept one by one, a rule that duplicates an earlier one is left out as well
+    repaired.channelRules = this.keepValidRules(repaired.channelRules, rules => this.validateChannelRules(rules));
+    repaired.authorRules = this.keepValidRules(repaired.authorRules, rules => this.validateAuthorRules(rules));
+
+    return repaired;
+  }
+
+  keepValidRules(rules, validate) {
+    if (!Array.isArray(rules)) {
+      return [];
+    }
+    return rules.reduce((kept, rule) => (validate([...kept, rule]).length === 0 ? [...kept, rule] : kept), []);
+  }
+
+  // Size of the settings item the way sync counts it: key plus JSON value in UTF-8
+  getSyncedSize(settings) {
+    const stored = this.stripApiKeys(this.mergeWithDefaults(settings));
+    return new TextEncoder().encode('settings' + JSON.stringify(stored)).length;
+  }
+
+  // Rules override the reading mode and target languages for a server or a single channel.
+  // An empty channelId covers the whole server, direct messages use "@me" as server.
+  validateChannelRules(rules) {
+    if (!Array.isArray(rules)) {
+      return ['Channel rules must be a list'];
+    }
+
+    const errors = [];
+    const keys = new Set();
+
+    rules.forEach((rule, index) => {
+      const label = `Channel rule ${index + 1}`;
+
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      if (typeof rule.guildId !== 'string' || !/^(@me|\d+)$/.test(rule.guildId)) {
+        errors.push(`${label} has an invalid server ID`);
+      }
+
+      if (rule.channelId && (typeof rule.channelId !== 'string' || !/^\d+$/.test(rule.channelId))) {
+        errors.push(`${label} has an invalid channel ID`);
+      }
+
+      if (typeof rule.enabled !== 'boolean') {
+        errors.push(`${label} must be enabled or disabled`);
+      }
+
+      if (rule.readingMode && !['auto', 'click', 'hover'].includes(rule.readingMode)) {
+        errors.push(`${label} has an invalid reading mode`);
+      }
+
+      if (rule.readingTargetLang && !this.supportedLanguages.includes(rule.readingTargetLang)) {
+        errors.push(`${label} has an invalid reading target language`);
+      }
+
+      if (rule.writingTargetLang && !this.supportedLanguages.includes(rule.writingTargetLang)) {
+        errors.push(`${label} has an invalid writing target language`);
+      }
+
+      if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.length > this.maxRuleNameLength)) {
+        errors.push(`${label} name must be at most ${this.maxRuleNameLength} characters`);
+      }
+
+      const key = `${rule.guildId}/${rule.channelId || ''}`;
+      if (keys.has(key)) {
+        errors.push(`${label} duplicates another rule`);
+      }
+      keys.add(key);
+    });
+
+    return errors;
+  }
+
+  // Author rules are keyed by Discord user ID: "always" translates automatically in every mode,
+  // "never" skips the author and "translateTo" uses another target language for them
+  validateAuthorRules(rules) {
+    if (!Array.isArray(rules)) {
+      return ['Author rules must be a list'];
+    }
+
+    const errors = [];
+    const userIds = new Set();
+
+    rules.forEach((rule, index) => {
+      const label = `Author rule ${index + 1}`;
+
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      if (typeof rule.userId !== 'string' || !/^\d+$/.test(rule.userId)) {
+        errors.push(`${label} has an invalid user ID`);
+      }
+
+      if (!['always', 'never', 'translateTo'].includes(rule.action)) {
+        errors.push(`${label} must be "always", "never" or "translateTo"`);
+      }
+
+      if (rule.action === 'translateTo' && !this.supportedLanguages.includes(rule.targetLang)) {
+        errors.push(`${label} needs a supported target language`);
+      }
+
+      if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.length > this.maxRuleNameLength)) {
+        errors.push(`${label} name must be at most ${this.maxRuleNameLength} characters`);
+      }
+
+      if (userIds.has(rule.userId)) {
+        errors.push(`${label} duplicates another rule`);
+      }
+      userIds.add(rule.userId);
+    });
+
+    return errors;
+  }
+
+  // Server and channel IDs of a Discord URL, null outside of channels
+  parseChannelUrl(url) {
+    const match = /^https:\/\/discord\.com\/channels\/(@me|\d+)(?:\/(\d+))?/.exec(url || '');
+    return match ? { guildId: match[1], channelId: match[2] || '' } : null;
+  }
+
+  // A rule for the channel itself wins over one for its whole server
+  findChannelRule(settings, channel) {
+    if (!channel) {
+      return null;
+    }
+
+    const rules = settings.channelRules || [];
+    return rules.find(rule => rule.guildId === channel.guildId && rule.channelId && rule.channelId === channel.channelId) ||
+      rules.find(rule => rule.guildId === channel.guildId && !rule.channelId) ||
+      null;
+  }
+
+  // Settings with the overrides of a channel rule, a disabled rule turns reading and writing off
+  applyChannelRule(settings, rule) {
+    if (!rule) {
+      return settings;
+    }
+
+    if (!rule.enabled) {
+      return {
+        ...settings,
+        readingMode: 'off',
+        writingEnabled: false
+      };
+    }
+
+    return {
+      ...settings,
+      readingMode: rule.readingMode || settings.readingMode,
+      readingTargetLang: rule.readingTargetLang || settings.readingTargetLang,
+      writingTargetLang: rule.writingTargetLang || settings.writingTargetLang
+    };
+  }
+
+  // Change the rule of exactly this server or channel. Fields the change does not mention,
+  // like the name or target languages, are kept and fields set to null are cleared.
+  // A rule left without overrides is removed.
+  async setChannelRule(channel, changes) {
+    const settings = await this.getSettings();
+    const rules = [...(settings.channelRules || [])];
+    const index = rules.findIndex(candidate =>
+      candidate.guildId === channel.guildId && (candidate.channelId || '') === channel.channelId
+    );
+
+    const rule = {
+      name: '',
+      enabled: true,
+      ...rules[index],
+      ...changes,
+      guildId: channel.guildId,
+      channelId: channel.channelId
+    };
+    Object.keys(rule).forEach(key => {
+      if (rule[key] === null) {
+        delete rule[key];
+      }
+    });
+
+    const hasOverrides = !rule.enabled || rule.readingMode || rule.readingTargetLang || rule.writingTargetLang || rule.name;
+    if (index === -1) {
+      if (hasOverrides) {
+        rules.push(rule);
+      }
+    } else if (hasOverrides) {
+      rules[index] = rule;
+    } else {
+      rules.splice(index, 1);
+    }
+
+    return this.saveSettings({
+      ...settings,
+      channelRules: rules
+    });
+  }
+
+  // Remove API keys from provider settings, they must never be synced
+  stripApiKeys(settings) {
+    if (!settings.providerSettings || typeof settings.providerSettings !== 'object') {
+      return settings;
+    }
+
+    const providerSettings = {};
+    for (const [providerId, config] of Object.entries(settings.providerSettings)) {
+      const { apiKey, ...rest } = config || {};
+      providerSettings[providerId] = rest;
+    }
+
+    return {
+      ...settings,
+      providerSettings
+    };
+  }
+
   // Merge settings with defaults
   mergeWithDefaults(settings) {
     return {
@@ -95,10 +438,11 @@ class SettingsManager {
       const validation = this.validateSettings(settings);
       console.log('Validation result:', validation);
 
+      // Only the invalid fields and rules are replaced, and only in memory.
+      // The stored settings stay as they are until the user saves.
       if (!validation.isValid) {
-        console.warn('Invalid settings found, using defaults:', validation.errors);
-        settings = this.defaultSettings;
-        await this.saveSettings(settings);
+        console.warn('Invalid settings found, falling back per field:', validation.errors);
+        settings = this.repairSettings(settings);
       }
 
       console.log('Final settings to return:', settings);
@@ -119,7 +463,7 @@ class SettingsManager {
       }
 
       // Merge with defaults to ensure all properties exist
-      const mergedSettings = this.mergeWithDefaults(settings);
+      const mergedSettings = this.stripApiKeys(this.mergeWithDefaults(settings));
 
       await chrome.storage.sync.set({ settings: mergedSettings });
       console.log('Settings saved successfully:', mergedSettings);
@@ -127,7 +471,7 @@ class SettingsManager {
       return mergedSettings;
     } catch (error) {
       console.error('Error saving settings:', error);
-      throw new Error('Failed to save settings');
+      throw new Error(`Failed to save settings: ${error.message}`);
     }
   }
 
@@ -167,184 +511,2371 @@ class SettingsManager {
 // Create global settings manager instance
 const settingsManager = new SettingsManager();
 
-// Extension installation handler
-chrome.runtime.onInstalled.addListener(async (details) => {
-  console.log('Extension installed:', details.reason);
+// API Key Storage
+// Keys live in chrome.storage.local only, optionally encrypted with a passphrase (AES-GCM).
+// The derived key is kept in chrome.storage.session so it survives service worker restarts
+// but not browser restarts.
+class ApiKeyStore {
+  constructor() {
+    this.storageKey = 'apiKeys';
+    this.sessionKey = 'apiKeyCryptoKey';
+    this.iterations = 250000;
+  }
 
-  try {
-    // Initialize default settings on install or update
-    if (details.reason === 'install' || details.reason === 'update') {
-      await settingsManager.initializeDefaultSettings();
-    }
-  } catch (error) {
-    console.error('Error during installation:', error);
+  bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
   }
-});
 
-// Message handler for communication with content scripts
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('Background received message:', request);
-  console.log('Message action:', request.action);
+  base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
 
-  // Handle different message types
-  switch (request.action) {
-    case 'translate':
-      console.log('Handling translate request');
-      handleTranslationRequest(request, sendResponse);
-      return true; // Keep message channel open for async response
+  async load() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || { encrypted: false, keys: {} };
+  }
 
-    case 'detectLanguage':
-      console.log('Handling detectLanguage request');
-      handleLanguageDetection(request, sendResponse);
-      return true;
+  // Derive an AES-GCM key from the passphrase
+  async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
 
-    case 'getSettings':
-      console.log('Handling getSettings request');
-      handleGetSettings(sendResponse);
-      return true;
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: this.iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
 
-    case 'saveSettings':
-      console.log('Handling saveSettings request');
-      handleSaveSettings(request.settings, sendResponse);
-      return true;
+  async encrypt(keys, cryptoKey, salt) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      cryptoKey,
+      new TextEncoder().encode(JSON.stringify(keys))
+    );
 
-    case 'resetSettings':
-      console.log('Handling resetSettings request');
-      handleResetSettings(sendResponse);
-      return true;
+    return {
+      salt: this.bytesToBase64(salt),
+      iv: this.bytesToBase64(iv),
+      data: this.bytesToBase64(data)
+    };
+  }
 
-    case 'test':
-      console.log('Handling test request');
-      sendResponse({
-        success: true,
-        message: 'Background script is working'
-      });
-      return false;
+  async decrypt(payload, cryptoKey) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.base64ToBytes(payload.iv) },
+      cryptoKey,
+      this.base64ToBytes(payload.data)
+    );
 
-    default:
-      console.warn('Unknown action:', request.action);
-      sendResponse({
-        success: false,
-        error: 'Unknown action'
-      });
-      return false;
+    return JSON.parse(new TextDecoder().decode(data));
   }
-});
 
-// Translation Service Class
-class TranslationService {
-  constructor() {
-    this.baseUrl = 'https://translate-pa.googleapis.com/v1/translate';
-    this.maxRetries = 3;
-    this.retryDelay = 1000; // 1 second
-    this.cache = new Map(); // Simple in-memory cache
-    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
-  }
+  async getSessionKey() {
+    const result = await chrome.storage.session.get(this.sessionKey);
+    if (!result[this.sessionKey]) {
+      return null;
+    }
 
-  // Generate cache key for translation requests
-  getCacheKey(text, sourceLang, targetLang) {
-    return `${sourceLang}-${targetLang}-${text}`;
+    return crypto.subtle.importKey(
+      'raw',
+      this.base64ToBytes(result[this.sessionKey]),
+      { name: 'AES-GCM' },
+      true,
+      ['encrypt', 'decrypt']
+    );
   }
 
-  // Check if cached translation is still valid
-  isCacheValid(cacheEntry) {
-    return Date.now() - cacheEntry.timestamp < this.cacheExpiry;
+  async setSessionKey(cryptoKey) {
+    const raw = await crypto.subtle.exportKey('raw', cryptoKey);
+    await chrome.storage.session.set({ [this.sessionKey]: this.bytesToBase64(raw) });
   }
 
-  // Get cached translation if available and valid
-  getCachedTranslation(text, sourceLang, targetLang) {
-    const key = this.getCacheKey(text, sourceLang, targetLang);
-    const cached = this.cache.get(key);
+  // Get all API keys by provider id
+  async getKeys() {
+    const stored = await this.load();
+    if (!stored.encrypted) {
+      return stored.keys || {};
+    }
 
-    if (cached && this.isCacheValid(cached)) {
-      console.log('Using cached translation for:', text.substring(0, 50));
-      return cached.data;
+    const cryptoKey = await this.getSessionKey();
+    if (!cryptoKey) {
+      throw new Error('API keys are locked. Unlock them on the options page.');
     }
 
-    return null;
+    return this.decrypt(stored.payload, cryptoKey);
   }
 
-  // Cache translation result
-  cacheTranslation(text, sourceLang, targetLang, result) {
-    const key = this.getCacheKey(text, sourceLang, targetLang);
-    this.cache.set(key, {
-      data: result,
-      timestamp: Date.now()
-    });
+  // Save API keys, encrypting them when requested.
+  // Without a new passphrase an already unlocked encryption key is reused.
+  async saveKeys(keys, { encrypt = false, passphrase = '' } = {}) {
+    const cleanKeys = {};
+    for (const [providerId, key] of Object.entries(keys || {})) {
+      if (typeof key === 'string' && key.trim()) {
+        cleanKeys[providerId] = key.trim();
+      }
+    }
 
-    // Clean up old cache entries periodically
-    if (this.cache.size > 100) {
-      this.cleanupCache();
+    if (!encrypt) {
+      await chrome.storage.local.set({ [this.storageKey]: { encrypted: false, keys: cleanKeys } });
+      await chrome.storage.session.remove(this.sessionKey);
+      console.log('API keys saved without encryption');
+      return;
     }
-  }
 
-  // Clean up expired cache entries
-  cleanupCache() {
-    const now = Date.now();
-    for (const [key, entry] of this.cache.entries()) {
-      if (now - entry.timestamp >= this.cacheExpiry) {
-        this.cache.delete(key);
+    let cryptoKey;
+    let salt;
+    if (passphrase) {
+      salt = crypto.getRandomValues(new Uint8Array(16));
+      cryptoKey = await this.deriveKey(passphrase, salt);
+    } else {
+      const stored = await this.load();
+      cryptoKey = stored.encrypted ? await this.getSessionKey() : null;
+      if (!cryptoKey) {
+        throw new Error('A passphrase is required to encrypt API keys');
       }
+      salt = this.base64ToBytes(stored.payload.salt);
     }
-  }
 
-  // Sleep function for retry delays
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const payload = await this.encrypt(cleanKeys, cryptoKey, salt);
+    await chrome.storage.local.set({ [this.storageKey]: { encrypted: true, payload } });
+    await this.setSessionKey(cryptoKey);
+    console.log('API keys saved with encryption');
   }
 
-  // Make HTTP request with retry logic
-  async makeRequest(url, options, retryCount = 0) {
+  async unlock(passphrase) {
+    const stored = await this.load();
+    if (!stored.encrypted) {
+      return;
+    }
+
+    const cryptoKey = await this.deriveKey(passphrase, this.base64ToBytes(stored.payload.salt));
     try {
-      console.log(`Making request to: ${url} (attempt ${retryCount + 1})`);
+      await this.decrypt(stored.payload, cryptoKey);
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
 
-      const response = await fetch(url, options);
+    await this.setSessionKey(cryptoKey);
+    console.log('API keys unlocked');
+  }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+  async lock() {
+    await chrome.storage.session.remove(this.sessionKey);
+    console.log('API keys locked');
+  }
 
-        // Parse error details if available
-        try {
-          const errorData = JSON.parse(errorText);
-          if (errorData.error && errorData.error.message) {
-            errorMessage = errorData.error.message;
-          }
-        } catch (e) {
-          // Use default error message if parsing fails
-        }
+  async getStatus() {
+    const stored = await this.load();
+    const locked = stored.encrypted && !(await this.getSessionKey());
+    return {
+      encrypted: Boolean(stored.encrypted),
+      locked
+    };
+  }
 
-        // Handle specific error codes
-        if (response.status === 403) {
-          throw new Error('API key is invalid or quota exceeded');
-        } else if (response.status === 429) {
-          throw new Error('Rate limit exceeded. Please try again later');
-        } else if (response.status >= 500) {
-          throw new Error('Google Translate service is temporarily unavailable');
-        }
+  // Move keys saved by older versions from synced settings into local storage
+  async migrateFromSettings() {
+    const result = await chrome.storage.sync.get('settings');
+    const providerSettings = result.settings && result.settings.providerSettings;
+    if (!providerSettings) {
+      return;
+    }
 
-        throw new Error(errorMessage);
+    const legacyKeys = {};
+    for (const [providerId, config] of Object.entries(providerSettings)) {
+      if (config && config.apiKey) {
+        legacyKeys[providerId] = config.apiKey;
       }
+    }
 
-      const data = await response.json();
-      console.log('Request successful');
-      return data;
+    if (Object.keys(legacyKeys).length === 0) {
+      return;
+    }
 
-    } catch (error) {
-      console.error(`Request failed (attempt ${retryCount + 1}):`, error.message);
+    const stored = await this.load();
+    if (!stored.encrypted) {
+      await this.saveKeys({ ...legacyKeys, ...stored.keys });
+    } else {
+      console.warn('API key store is encrypted, synced legacy keys are dropped');
+    }
+
+    await chrome.storage.sync.set({ settings: settingsManager.stripApiKeys(result.settings) });
+    console.log('Migrated API keys out of synced settings:', Object.keys(legacyKeys));
+  }
+}
+
+const apiKeyStore = new ApiKeyStore();
+
+// Glossary
+// Term mappings per language pair and terms that must never be translated, such as
+// brand names, game items and nicknames. Stored locally since it can outgrow the
+// sync storage item limit. Matching terms are swapped for placeholders like ⟦g0⟧
+// before a provider sees the text and replaced with the glossary target afterwards.
+class GlossaryStore {
+  constructor() {
+    this.storageKey = 'glossary';
+    this.maxEntries = 2000;
+    this.maxTermLength = 200;
+    this.glossary = null;
+  }
+
+  async getGlossary() {
+    if (!this.glossary) {
+      const result = await chrome.storage.local.get(this.storageKey);
+      this.glossary = this.normalize(result[this.storageKey] || {});
+    }
+    return this.glossary;
+  }
+
+  // Validate a glossary and drop empty rows, throws on invalid input
+  normalize(glossary) {
+    const terms = Array.isArray(glossary.terms) ? glossary.terms : [];
+    const protectedTerms = Array.isArray(glossary.protectedTerms) ? glossary.protectedTerms : [];
+
+    const cleanTerms = terms
+      .map(term => ({
+        source: String(term.source || '').trim(),
+        target: String(term.target || '').trim(),
+        sourceLang: this.normalizeLang(term.sourceLang),
+        targetLang: this.normalizeLang(term.targetLang)
+      }))
+      .filter(term => term.source && term.target);
+
+    const cleanProtected = Array.from(new Set(protectedTerms
+      .map(term => String(term || '').trim())
+      .filter(Boolean)));
+
+    if (cleanTerms.length + cleanProtected.length > this.maxEntries) {
+      throw new Error(`Glossary can hold at most ${this.maxEntries} entries`);
+    }
+
+    const tooLong = [...cleanTerms.map(term => term.source), ...cleanProtected]
+      .find(term => term.length > this.maxTermLength);
+    if (tooLong) {
+      throw new Error(`Glossary term is too long: ${tooLong.substring(0, 30)}...`);
+    }
+
+    return { terms: cleanTerms, protectedTerms: cleanProtected };
+  }
+
+  // Empty and "auto" mean the entry applies to any language
+  normalizeLang(lang) {
+    const code = typeof lang === 'string' ? lang.trim().split('-')[0].toLowerCase() : '';
+    return code === 'auto' ? '' : code;
+  }
+
+  async saveGlossary(glossary) {
+    const cleanGlossary = this.normalize(glossary || {});
+    await chrome.storage.local.set({ [this.storageKey]: cleanGlossary });
+    this.glossary = cleanGlossary;
+
+    console.log('Glossary saved:', cleanGlossary.terms.length, 'terms,',
+      cleanGlossary.protectedTerms.length, 'protected terms');
+    return cleanGlossary;
+  }
+
+  // Entries that apply to the text, longest first so "Raid Boss" wins over "Boss"
+  getEntries(glossary, text, sourceLang, targetLang) {
+    let textLang = this.normalizeLang(sourceLang);
+    if (!textLang) {
+      textLang = localLanguageDetector.detect(text).language;
+    }
+
+    const entries = glossary.terms
+      .filter(term => (!term.sourceLang || term.sourceLang === textLang) &&
+        (!term.targetLang || term.targetLang === targetLang))
+      .map(term => ({ term: term.source, replacement: term.target }));
+
+    glossary.protectedTerms.forEach(term => {
+      entries.push({ term: term, replacement: null });
+    });
+
+    return entries.sort((a, b) => b.term.length - a.term.length);
+  }
+
+  escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Replace glossary terms with placeholders. Returns the text to send to the
+  // provider and the values to put back in place of the placeholders.
+  protect(glossary, text, sourceLang, targetLang) {
+    const replacements = [];
+    if (glossary.terms.length === 0 && glossary.protectedTerms.length === 0) {
+      return { text, replacements };
+    }
+
+    const entries = this.getEntries(glossary, text, sourceLang, targetLang);
+    if (entries.length === 0) {
+      return { text, replacements };
+    }
+
+    // One pass over all terms, whole words only and case insensitive
+    const byTerm = new Map();
+    entries.forEach(entry => {
+      if (!byTerm.has(entry.term.toLowerCase())) {
+        byTerm.set(entry.term.toLowerCase(), entry);
+      }
+    });
+    const alternatives = entries.map(entry => this.escapeRegExp(entry.term)).join('|');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'giu');
+
+    const protectedText = text.replace(pattern, match => {
+      const entry = byTerm.get(match.toLowerCase());
+      replacements.push(!entry || entry.replacement === null ? match : entry.replacement);
+      return `⟦g${replacements.length - 1}⟧`;
+    });
+
+    return { text: protectedText, replacements };
+  }
+
+  // Put glossary values back in place of their placeholders
+  restore(text, replacements) {
+    if (replacements.length === 0) {
+      return text;
+    }
+
+    return text.replace(/⟦g(\d+)⟧/g, (match, index) => {
+      const replacement = replacements[Number(index)];
+      return replacement === undefined ? match : replacement;
+    });
+  }
+}
+
+const glossaryStore = new GlossaryStore();
+
+// Right-click menu entries on Discord pages.
+// Translations go through the same path as the content script's requests,
+// the content script only supplies message text and shows the result.
+class ContextMenuManager {
+  constructor() {
+    this.documentUrlPatterns = ['https://discord.com/*'];
+
+    // Native names, the menu is not localized
+    this.languageNames = {
+      tr: 'Türkçe',
+      en: 'English',
+      es: 'Español',
+      fr: 'Français',
+      de: 'Deutsch',
+      it: 'Italiano',
+      pt: 'Português',
+      ru: 'Русский',
+      ja: '日本語',
+      ko: '한국어',
+      zh: '中文',
+      ar: 'العربية'
+    };
+  }
+
+  // Menu entries persist across service worker restarts, they are rebuilt on install and update
+  async setup() {
+    await chrome.contextMenus.removeAll();
+
+    chrome.contextMenus.create({
+      id: 'translateSelection',
+      title: 'Translate selection',
+      contexts: ['selection'],
+      documentUrlPatterns: this.documentUrlPatterns
+    });
+
+    chrome.contextMenus.create({
+      id: 'translateSelectionTo',
+      title: 'Translate selection to…',
+      contexts: ['selection'],
+      documentUrlPatterns: this.documentUrlPatterns
+    });
+
+    settingsManager.supportedLanguages.forEach(language => {
+      chrome.contextMenus.create({
+        id: `translateSelectionTo:${language}`,
+        parentId: 'translateSelectionTo',
+        title: this.languageNames[language] || language,
+        contexts: ['selection'],
+        documentUrlPatterns: this.documentUrlPatterns
+      });
+    });
+
+    chrome.contextMenus.create({
+      id: 'translateMessage',
+      title: 'Translate this message',
+      contexts: ['page', 'link', 'image'],
+      documentUrlPatterns: this.documentUrlPatterns
+    });
+  }
+
+  async handleClick(info, tab) {
+    if (!tab || tab.id === undefined) {
+      return;
+    }
+
+    const [menuItemId, language] = String(info.menuItemId).split(':');
+    const globalSettings = await settingsManager.getSettings();
+    const channel = settingsManager.parseChannelUrl(tab.url);
+    const settings = settingsManager.applyChannelRule(globalSettings, settingsManager.findChannelRule(globalSettings, channel));
+
+    if (menuItemId === 'translateSelection' || menuItemId === 'translateSelectionTo') {
+      await this.translateForTab(tab, 'selection', info.selectionText, language || settings.readingTargetLang);
+    } else if (menuItemId === 'translateMessage') {
+      const message = await chrome.tabs.sendMessage(tab.id, { action: 'getContextMenuMessage' }).catch(() => null);
+
+      if (!message || !message.success) {
+        await this.sendToTab(tab, {
+          kind: 'message',
+          success: false,
+          error: message ? message.error : 'No message found at this position'
+        });
+        return;
+      }
+
+      // The content script knows the author, whose rule may ask for another language
+      const targetLang = settingsManager.supportedLanguages.includes(message.targetLang)
+        ? message.targetLang
+        : settings.readingTargetLang;
+      await this.translateForTab(tab, 'message', message.text, targetLang);
+    }
+  }
+
+  // Translate for a right-click, the content script shows a spinner until the result arrives.
+  // "Translate this message" is asked for explicitly, it is translated even when the
+  // message looks like it is already in the target language.
+  async translateForTab(tab, kind, text, targetLang) {
+    if (!text || !text.trim()) {
+      return;
+    }
+
+    await this.sendToTab(tab, { kind: kind, loading: true });
+
+    const result = await new Promise(resolve => handleTranslationRequest({
+      text: text,
+      targetLang: targetLang,
+      sourceLang: 'auto',
+      purpose: 'reading',
+      priority: 'click',
+      checkIfNeeded: kind !== 'message'
+    }, { tab: tab }, resolve));
+
+    await this.sendToTab(tab, { kind: kind, ...result });
+  }
+
+  async sendToTab(tab, message) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: 'showContextMenuTranslation', ...message });
+    } catch (error) {
+      console.error('Error sending context menu translation to tab:', error);
+    }
+  }
+}
+
+// Create global context menu manager instance
+const contextMenuManager = new ContextMenuManager();
+
+// Extension installation handler
+chrome.runtime.onInstalled.addListener(async (details) => {
+  console.log('Extension installed:', details.reason);
+
+  try {
+    // Initialize default settings on install or update
+    if (details.reason === 'install' || details.reason === 'update') {
+      await settingsManager.initializeDefaultSettings();
+      await apiKeyStore.migrateFromSettings();
+    }
+
+    await contextMenuManager.setup();
+  } catch (error) {
+    console.error('Error during installation:', error);
+  }
+});
+
+// Context menu handler
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  console.log('Context menu clicked:', info.menuItemId);
+  contextMenuManager.handleClick(info, tab).catch(error => {
+    console.error('Error handling context menu click:', error);
+  });
+});
+
+// Message handler for communication with content scripts
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  console.log('Background received message:', request);
+  console.log('Message action:', request.action);
+
+  // Handle different message types
+  switch (request.action) {
+    case 'translate':
+      console.log('Handling translate request');
+      handleTranslationRequest(request, sender, sendResponse);
+      return true; // Keep message channel open for async response
+
+    case 'translateBatch':
+      console.log('Handling translateBatch request');
+      handleTranslateBatchRequest(request, sender, sendResponse);
+      return true; // Keep message channel open for async response
+
+    case 'getRateLimitStatus':
+      console.log('Handling getRateLimitStatus request');
+      sendResponse({
+        success: true,
+        providers: translationService.rateLimiter.getStatus()
+      });
+      return false;
+
+    case 'cancelTranslations':
+      console.log('Handling cancelTranslations request');
+      sendResponse({
+        success: true,
+        cancelled: sender.tab ? requestScheduler.cancel(sender.tab.id) : 0
+      });
+      return false;
+
+    case 'detectLanguage':
+      console.log('Handling detectLanguage request');
+      handleLanguageDetection(request, sendResponse);
+      return true;
+
+    case 'getSettings':
+      console.log('Handling getSettings request');
+      handleGetSettings(request, sendResponse);
+      return true;
+
+    case 'saveSettings':
+      console.log('Handling saveSettings request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleSaveSettings(request.settings, sendResponse);
+      return true;
+
+    case 'setChannelRule':
+      console.log('Handling setChannelRule request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleSetChannelRule(request, sendResponse);
+      return true;
+
+    case 'resetSettings':
+      console.log('Handling resetSettings request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleResetSettings(sendResponse);
+      return true;
+
+    case 'getProviders':
+      console.log('Handling getProviders request');
+      handleGetProviders(sendResponse);
+      return true;
+
+    case 'getProviderHealth':
+      console.log('Handling getProviderHealth request');
+      sendResponse({
+        success: true,
+        health: translationService.health.getStatus()
+      });
+      return false;
+
+    case 'getCacheStats':
+      console.log('Handling getCacheStats request');
+      handleGetCacheStats(sendResponse);
+      return true; // Keep message channel open for async response
+
+    case 'clearCache':
+      console.log('Handling clearCache request');
+      handleClearCache(sendResponse);
+      return true; // Keep message channel open for async response
+
+    case 'saveTranslationMemory':
+      console.log('Handling saveTranslationMemory request');
+      handleSaveTranslationMemory(request, sendResponse);
+      return true;
+
+    case 'getGlossary':
+      console.log('Handling getGlossary request');
+      handleGetGlossary(sendResponse);
+      return true;
+
+    case 'saveGlossary':
+      console.log('Handling saveGlossary request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleSaveGlossary(request, sendResponse);
+      return true;
+
+    case 'getApiKeys':
+      console.log('Handling getApiKeys request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleGetApiKeys(sendResponse);
+      return true;
+
+    case 'saveApiKeys':
+      console.log('Handling saveApiKeys request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleSaveApiKeys(request, sendResponse);
+      return true;
+
+    case 'unlockApiKeys':
+      console.log('Handling unlockApiKeys request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleUnlockApiKeys(request, sendResponse);
+      return true;
+
+    case 'lockApiKeys':
+      console.log('Handling lockApiKeys request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleLockApiKeys(sendResponse);
+      return true;
+
+    case 'testProviderConnection':
+      console.log('Handling testProviderConnection request');
+      if (!isExtensionPage(sender)) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+      }
+      handleTestProviderConnection(request, sendResponse);
+      return true;
+
+    case 'test':
+      console.log('Handling test request');
+      sendResponse({
+        success: true,
+        message: 'Background script is working'
+      });
+      return false;
+
+    default:
+      console.warn('Unknown action:', request.action);
+      sendResponse({
+        success: false,
+        error: 'Unknown action'
+      });
+      return false;
+  }
+});
+
+// Translation Provider Base Class
+// Every translation backend implements this interface and is registered with TranslationService
+class TranslationProvider {
+  constructor(service) {
+    this.service = service;
+    this.id = 'base';
+    this.name = 'Translation Provider';
+    this.apiKeyMode = 'none'; // 'none', 'optional' or 'required'
+    this.maxBatchSize = 50; // Texts per translateBatch call
+    this.maxBatchLength = 30000; // Characters per translateBatch call
+    this.maxChunkLength = 5000; // Longer texts are split into chunks
+    this.rateLimit = { capacity: 10, refillPerSecond: 5 }; // Token bucket of the rate limiter
+  }
+
+  // Make an HTTP request through the service, rate limited per provider
+  request(url, options) {
+    return this.service.makeRequest(url, options, this);
+  }
+
+  // Translate text, resolves to { translatedText, sourceLang }
+  // options.purpose is 'reading' for incoming messages and 'writing' for outgoing ones,
+  // options.signal aborts the request
+  async translate(text, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    throw new Error(`${this.name} does not support translation`);
+  }
+
+  // Translate several texts, resolves to a list of { translatedText, sourceLang } in input order.
+  // Providers with a batch API override this to use a single request.
+  async translateBatch(texts, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    return Promise.all(texts.map(text => this.translate(text, targetLang, sourceLang, config, options)));
+  }
+
+  // Detect language of text, resolves to { language, confidence }. Confidence is between 0 and 1,
+  // or null when the provider gives no score.
+  async detect(text, config = {}) {
+    throw new Error(`${this.name} does not support language detection`);
+  }
+
+  // Language codes this provider can translate between
+  async supportedLanguages(config = {}) {
+    return settingsManager.supportedLanguages;
+  }
+
+  // Validate provider specific settings, returns a list of errors
+  validateConfig(config = {}) {
+    return [];
+  }
+
+  // Check that the provider is reachable with the given settings
+  async testConnection(config = {}) {
+    const result = await this.translate('Hello', 'tr', 'en', config);
+    return {
+      message: `${this.name} is working`,
+      sample: result.translatedText
+    };
+  }
+}
+
+// Google Translate provider (translate-pa endpoint)
+class GoogleTranslateProvider extends TranslationProvider {
+  constructor(service) {
+    super(service);
+    this.id = 'google';
+    this.name = 'Google Translate';
+    this.apiKeyMode = 'required';
+    this.baseUrl = 'https://translate-pa.googleapis.com/v1/translate';
+    this.maxChunkLength = 1500; // Text goes into the query string, keep URLs short
+  }
+
+  // Build request URL for the translate-pa endpoint
+  buildUrl(text, targetLang, sourceLang, config) {
+    const apiKey = config.apiKey;
+    if (!apiKey) {
+      throw new Error('Google Translate API key is not configured');
+    }
+
+    const params = new URLSearchParams({
+      'params.client': 'gtx',
+      'query.source_language': sourceLang === 'auto' ? 'auto' : sourceLang,
+      'query.target_language': targetLang,
+      'query.display_language': targetLang,
+      'query.text': text,
+      'key': apiKey,
+      'data_types': 'TRANSLATION'
+    });
+
+    return `${this.baseUrl}?${params.toString()}`;
+  }
+
+  // Extract detected source language from API response
+  getDetectedLanguage(data) {
+    return data.sourceLanguage ||
+      (data.detectedLanguages && data.detectedLanguages.srclangs && data.detectedLanguages.srclangs[0]) ||
+      null;
+  }
+
+  async translate(text, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    const requestOptions = {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      },
+      signal: options.signal
+    };
+
+    const data = await this.request(this.buildUrl(text, targetLang, sourceLang, config), requestOptions);
+
+    if (!data || !data.translation) {
+      throw new Error('Invalid response from Google Translate API');
+    }
+
+    return {
+      translatedText: data.translation,
+      sourceLang: this.getDetectedLanguage(data) || sourceLang
+    };
+  }
+
+  async detect(text, config = {}) {
+    // Use the same translate endpoint with auto detection to get source language
+    const options = {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      }
+    };
+
+    const data = await this.request(this.buildUrl(text, 'en', 'auto', config), options);
+
+    if (!data || !data.sourceLanguage) {
+      throw new Error('Invalid response from Google Translate API');
+    }
+
+    // Scored only when the response lists confidences with the detected languages
+    const confidences = data.detectedLanguages && data.detectedLanguages.confidences;
+    return {
+      language: this.getDetectedLanguage(data) || 'unknown',
+      confidence: Array.isArray(confidences) && typeof confidences[0] === 'number' ? confidences[0] : null
+    };
+  }
+}
+
+// LibreTranslate provider for self-hosted instances
+class LibreTranslateProvider extends TranslationProvider {
+  constructor(service) {
+    super(service);
+    this.id = 'libretranslate';
+    this.name = 'LibreTranslate';
+    this.apiKeyMode = 'optional';
+    this.rateLimit = { capacity: 5, refillPerSecond: 2 }; // Public instances allow few requests
+    this.maxChunkLength = 2000; // Common character limit of public instances
+    this.languageCache = new Map(); // Supported languages per instance URL
+  }
+
+  // Normalize configured base URL (no trailing slash)
+  getBaseUrl(config) {
+    if (!config.url) {
+      throw new Error('LibreTranslate URL is not configured');
+    }
+
+    return config.url.trim().replace(/\/+$/, '');
+  }
+
+  // POST a JSON body to a LibreTranslate endpoint
+  async post(config, path, body, signal) {
+    if (config.apiKey) {
+      body.api_key = config.apiKey;
+    }
+
+    const options = {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      signal: signal
+    };
+
+    return this.request(`${this.getBaseUrl(config)}${path}`, options);
+  }
+
+  validateConfig(config = {}) {
+    const errors = [];
+
+    if (!config.url) {
+      errors.push('LibreTranslate URL is required');
+    } else {
+      try {
+        const url = new URL(config.url);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          errors.push('LibreTranslate URL must use http or https');
+        }
+      } catch (error) {
+        errors.push('LibreTranslate URL is invalid');
+      }
+    }
+
+    return errors;
+  }
+
+  async translate(text, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    const data = await this.post(config, '/translate', {
+      q: text,
+      source: sourceLang || 'auto',
+      target: targetLang,
+      format: 'text'
+    }, options.signal);
+
+    if (!data || typeof data.translatedText !== 'string') {
+      throw new Error('Invalid response from LibreTranslate');
+    }
+
+    return {
+      translatedText: data.translatedText,
+      sourceLang: (data.detectedLanguage && data.detectedLanguage.language) || sourceLang
+    };
+  }
+
+  // LibreTranslate accepts a list of texts and answers with lists in the same order
+  async translateBatch(texts, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    const data = await this.post(config, '/translate', {
+      q: texts,
+      source: sourceLang || 'auto',
+      target: targetLang,
+      format: 'text'
+    }, options.signal);
+
+    if (!data || !Array.isArray(data.translatedText) || data.translatedText.length !== texts.length) {
+      throw new Error('Invalid response from LibreTranslate');
+    }
+
+    const detected = Array.isArray(data.detectedLanguage) ? data.detectedLanguage : [];
+    return data.translatedText.map((translatedText, index) => ({
+      translatedText: translatedText,
+      sourceLang: (detected[index] && detected[index].language) || sourceLang
+    }));
+  }
+
+  async detect(text, config = {}) {
+    const data = await this.post(config, '/detect', { q: text });
+
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error('Invalid response from LibreTranslate');
+    }
+
+    // LibreTranslate reports confidence as a percentage
+    return {
+      language: data[0].language,
+      confidence: (data[0].confidence || 0) / 100
+    };
+  }
+
+  async supportedLanguages(config = {}) {
+    const baseUrl = this.getBaseUrl(config);
+    if (this.languageCache.has(baseUrl)) {
+      return this.languageCache.get(baseUrl);
+    }
+
+    const data = await this.request(`${baseUrl}/languages`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      }
+    });
+
+    if (!Array.isArray(data)) {
+      throw new Error('Invalid response from LibreTranslate');
+    }
+
+    const languages = data.map(language => language.code);
+    this.languageCache.set(baseUrl, languages);
+    return languages;
+  }
+
+  async testConnection(config = {}) {
+    // Always query the instance again when testing
+    this.languageCache.delete(this.getBaseUrl(config));
+
+    const languages = await this.supportedLanguages(config);
+    const result = await this.translate('Hello', languages.includes('tr') ? 'tr' : languages[0], 'en', config);
+
+    return {
+      message: `LibreTranslate is working (${languages.length} languages)`,
+      sample: result.translatedText
+    };
+  }
+}
+
+// DeepL provider (free and pro API)
+class DeepLProvider extends TranslationProvider {
+  constructor(service) {
+    super(service);
+    this.id = 'deepl';
+    this.name = 'DeepL';
+    this.apiKeyMode = 'required';
+    this.maxBatchLength = 100000; // Request body limit is 128 KiB
+    this.endpoints = {
+      free: 'https://api-free.deepl.com/v2',
+      pro: 'https://api.deepl.com/v2'
+    };
+
+    // Target languages where DeepL supports formality
+    this.formalityLanguages = ['de', 'fr', 'it', 'es', 'pt', 'ru', 'ja'];
+
+    // DeepL requires regional variants for some target languages
+    this.targetLanguageCodes = {
+      en: 'EN-US',
+      pt: 'PT-PT',
+      zh: 'ZH-HANS'
+    };
+  }
+
+  getBaseUrl(config) {
+    return config.plan === 'pro' ? this.endpoints.pro : this.endpoints.free;
+  }
+
+  getHeaders(config) {
+    if (!config.apiKey) {
+      throw new Error('DeepL API key is not configured');
+    }
+
+    return {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'Authorization': `DeepL-Auth-Key ${config.apiKey}`
+    };
+  }
+
+  toTargetCode(lang) {
+    return this.targetLanguageCodes[lang] || lang.toUpperCase();
+  }
+
+  // DeepL reports languages in upper case, e.g. "EN" or "PT-BR"
+  fromDeepLCode(code) {
+    return code ? code.split('-')[0].toLowerCase() : null;
+  }
+
+  // Map formality setting of the target language to a DeepL parameter
+  getFormality(config, targetLang) {
+    const formality = config.formality && config.formality[targetLang];
+    if (!this.formalityLanguages.includes(targetLang) || !formality || formality === 'default') {
+      return null;
+    }
+
+    // prefer_* falls back to default instead of failing when unsupported
+    return formality === 'more' ? 'prefer_more' : 'prefer_less';
+  }
+
+  validateConfig(config = {}) {
+    const errors = [];
+
+    if (config.plan && !['free', 'pro'].includes(config.plan)) {
+      errors.push('DeepL plan must be "free" or "pro"');
+    }
+
+    if (config.formality !== undefined) {
+      if (!config.formality || typeof config.formality !== 'object') {
+        errors.push('DeepL formality must be an object');
+      } else if (Object.values(config.formality).some(value => !['more', 'less', 'default'].includes(value))) {
+        errors.push('DeepL formality must be "more", "less" or "default"');
+      }
+    }
+
+    return errors;
+  }
+
+  async translate(text, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    const [result] = await this.translateBatch([text], targetLang, sourceLang, config, options);
+    return result;
+  }
+
+  // DeepL translates up to 50 texts per request
+  async translateBatch(texts, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    const body = {
+      text: texts,
+      target_lang: this.toTargetCode(targetLang)
+    };
+
+    if (sourceLang && sourceLang !== 'auto') {
+      body.source_lang = sourceLang.toUpperCase();
+    }
+
+    // Formality only applies to messages the user writes
+    if (options.purpose === 'writing') {
+      const formality = this.getFormality(config, targetLang);
+      if (formality) {
+        body.formality = formality;
+      }
+    }
+
+    const data = await this.request(`${this.getBaseUrl(config)}/translate`, {
+      method: 'POST',
+      headers: this.getHeaders(config),
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+
+    if (!data || !Array.isArray(data.translations) || data.translations.length !== texts.length) {
+      throw new Error('Invalid response from DeepL');
+    }
+
+    return data.translations.map(translation => ({
+      translatedText: translation.text,
+      sourceLang: this.fromDeepLCode(translation.detected_source_language) || sourceLang
+    }));
+  }
+
+  async detect(text, config = {}) {
+    // DeepL has no detection endpoint, detected source comes with a translation but without a score
+    const result = await this.translate(text, 'en', 'auto', config);
+    return {
+      language: result.sourceLang,
+      confidence: null
+    };
+  }
+
+  async testConnection(config = {}) {
+    const usage = await this.request(`${this.getBaseUrl(config)}/usage`, {
+      method: 'GET',
+      headers: this.getHeaders(config)
+    });
+    const result = await this.translate('Hello', 'tr', 'en', config);
+
+    return {
+      message: `DeepL is working (${usage.character_count}/${usage.character_limit} characters used)`,
+      sample: result.translatedText
+    };
+  }
+}
+
+// OpenAI-compatible chat completions provider (OpenAI, Ollama, llama.cpp, ...)
+class OpenAICompatibleProvider extends TranslationProvider {
+  constructor(service) {
+    super(service);
+    this.id = 'openai';
+    this.name = 'OpenAI-compatible LLM';
+    this.apiKeyMode = 'optional';
+    this.maxBatchSize = 20; // Keep prompts short enough for small local models
+    this.maxBatchLength = 6000;
+    this.maxChunkLength = 3000;
+    this.rateLimit = { capacity: 3, refillPerSecond: 1 };
+    this.defaultSystemPrompt = 'You are a translator for Discord chat messages. ' +
+      'Translate the message into {targetLanguage}. Keep the tone, slang, memes, emoji, ' +
+      'usernames and markdown of the original and do not add explanations.';
+
+    // English language names used in prompts
+    this.languageNames = {
+      tr: 'Turkish',
+      en: 'English',
+      es: 'Spanish',
+      fr: 'French',
+      de: 'German',
+      it: 'Italian',
+      pt: 'Portuguese',
+      ru: 'Russian',
+      ja: 'Japanese',
+      ko: 'Korean',
+      zh: 'Chinese',
+      ar: 'Arabic'
+    };
+  }
+
+  // Accept both a base URL (".../v1") and the full completions URL
+  getCompletionsUrl(config) {
+    if (!config.url) {
+      throw new Error('LLM endpoint URL is not configured');
+    }
+
+    const url = config.url.trim().replace(/\/+$/, '');
+    return url.endsWith('/chat/completions') ? url : `${url}/chat/completions`;
+  }
+
+  buildSystemPrompt(config, targetLang, batch = false) {
+    const targetLanguage = this.languageNames[targetLang] || targetLang;
+    const prompt = (config.systemPrompt || this.defaultSystemPrompt).replace(/\{targetLanguage\}/g, targetLanguage) +
+      '\n\nKeep placeholders like ⟦0⟧, ⟦/0⟧ and ⟦g0⟧ unchanged, they stand for mentions, links, emoji, formatting and glossary terms.';
+
+    // Response format is always appended so custom prompts can't break parsing
+    if (batch) {
+      return `${prompt}\n\nThe user sends a JSON array of separate messages. Respond only with a JSON array ` +
+        'of the same length and order, one object per message of the form ' +
+        '{"sourceLang": "<ISO 639-1 code of the original message>", "translation": "<translated message>"}.';
+    }
+
+    return `${prompt}\n\nRespond only with a JSON object of the form ` +
+      `{"sourceLang": "<ISO 639-1 code of the original message>", "translation": "<translated message>"}.`;
+  }
+
+  stripCodeFence(content) {
+    return content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  }
+
+  // Parse the JSON answer, tolerating code fences and plain text replies
+  parseCompletion(content, sourceLang) {
+    try {
+      const data = JSON.parse(this.stripCodeFence(content));
+      if (typeof data.translation === 'string') {
+        return {
+          translatedText: data.translation,
+          sourceLang: typeof data.sourceLang === 'string' ? data.sourceLang.toLowerCase() : sourceLang
+        };
+      }
+    } catch (error) {
+      console.warn('LLM did not answer with JSON, using raw reply');
+    }
+
+    return {
+      translatedText: content.trim(),
+      sourceLang: sourceLang
+    };
+  }
+
+  // Parse a JSON array answer, null when it doesn't match the requested texts
+  parseBatchCompletion(content, count, sourceLang) {
+    try {
+      const data = JSON.parse(this.stripCodeFence(content));
+      if (Array.isArray(data) && data.length === count &&
+        data.every(item => item && typeof item.translation === 'string')) {
+        return data.map(item => ({
+          translatedText: item.translation,
+          sourceLang: typeof item.sourceLang === 'string' ? item.sourceLang.toLowerCase() : sourceLang
+        }));
+      }
+    } catch (error) {
+      console.warn('LLM did not answer with a JSON array');
+    }
+
+    return null;
+  }
+
+  validateConfig(config = {}) {
+    const errors = [];
+
+    if (!config.url) {
+      errors.push('LLM endpoint URL is required');
+    } else {
+      try {
+        const url = new URL(config.url);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          errors.push('LLM endpoint URL must use http or https');
+        }
+      } catch (error) {
+        errors.push('LLM endpoint URL is invalid');
+      }
+    }
+
+    if (!config.model || typeof config.model !== 'string') {
+      errors.push('LLM model is required');
+    }
+
+    if (config.systemPrompt !== undefined && typeof config.systemPrompt !== 'string') {
+      errors.push('LLM system prompt must be a string');
+    }
+
+    return errors;
+  }
+
+  // Send one chat completion request, resolves to the reply text
+  async complete(config, systemPrompt, userContent, signal) {
+    const headers = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+
+    if (config.apiKey) {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+
+    const data = await this.request(this.getCompletionsUrl(config), {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify({
+        model: config.model,
+        temperature: 0.2,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userContent }
+        ]
+      }),
+      signal: signal
+    });
+
+    const content = data && data.choices && data.choices[0] && data.choices[0].message &&
+      data.choices[0].message.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('Invalid response from LLM endpoint');
+    }
+
+    return content;
+  }
+
+  async translate(text, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    const content = await this.complete(config, this.buildSystemPrompt(config, targetLang), text, options.signal);
+    return this.parseCompletion(content, sourceLang);
+  }
+
+  // Translate all texts in one completion, falls back to single requests
+  // when the model doesn't return a usable array
+  async translateBatch(texts, targetLang, sourceLang = 'auto', config = {}, options = {}) {
+    if (texts.length === 1) {
+      return [await this.translate(texts[0], targetLang, sourceLang, config, options)];
+    }
+
+    const content = await this.complete(
+      config,
+      this.buildSystemPrompt(config, targetLang, true),
+      JSON.stringify(texts),
+      options.signal
+    );
+    const results = this.parseBatchCompletion(content, texts.length, sourceLang);
+    if (results) {
+      return results;
+    }
+
+    console.warn('LLM batch reply did not match the request, translating one by one');
+    return super.translateBatch(texts, targetLang, sourceLang, config, options);
+  }
+
+  // The model names the source language but gives no score
+  async detect(text, config = {}) {
+    const result = await this.translate(text, 'en', 'auto', config);
+    return {
+      language: result.sourceLang,
+      confidence: null
+    };
+  }
+}
+
+// Registry of available translation providers
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!(provider instanceof TranslationProvider) || !provider.id) {
+      throw new Error('Provider must extend TranslationProvider and have an id');
+    }
+
+    this.providers.set(provider.id, provider);
+    console.log('Translation provider registered:', provider.id);
+  }
+
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  // Serializable provider list for the options page
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      apiKeyMode: provider.apiKeyMode
+    }));
+  }
+}
+
+// Tracks provider failures and puts unhealthy providers on cooldown
+class ProviderHealthTracker {
+  constructor() {
+    this.health = new Map();
+    this.failureWindow = 60 * 1000; // Failures older than 1 minute are forgotten
+    this.maxRecentFailures = 3; // Failures within the window before cooldown
+    this.maxStatusStreak = 2; // Consecutive 403/429 responses before cooldown
+    this.cooldown = 5 * 60 * 1000; // 5 minutes
+  }
+
+  getEntry(providerId) {
+    if (!this.health.has(providerId)) {
+      this.health.set(providerId, {
+        recentFailures: [],
+        authFailureStreak: 0,
+        rateLimitStreak: 0,
+        cooldownUntil: 0,
+        lastError: null,
+        lastSuccess: null
+      });
+    }
+
+    return this.health.get(providerId);
+  }
+
+  recordSuccess(providerId) {
+    const entry = this.getEntry(providerId);
+    entry.recentFailures = [];
+    entry.authFailureStreak = 0;
+    entry.rateLimitStreak = 0;
+    entry.cooldownUntil = 0;
+    entry.lastSuccess = Date.now();
+  }
+
+  recordFailure(providerId, error) {
+    const now = Date.now();
+    const entry = this.getEntry(providerId);
+
+    entry.recentFailures = entry.recentFailures.filter(timestamp => now - timestamp < this.failureWindow);
+    entry.recentFailures.push(now);
+    entry.lastError = error.message;
+    entry.authFailureStreak = error.status === 403 ? entry.authFailureStreak + 1 : 0;
+    entry.rateLimitStreak = error.status === 429 ? entry.rateLimitStreak + 1 : 0;
+
+    if (entry.recentFailures.length >= this.maxRecentFailures ||
+      entry.authFailureStreak >= this.maxStatusStreak ||
+      entry.rateLimitStreak >= this.maxStatusStreak) {
+      entry.cooldownUntil = now + this.cooldown;
+      console.warn(`Provider ${providerId} is unhealthy, cooling down until ${new Date(entry.cooldownUntil).toISOString()}`);
+    }
+  }
+
+  isAvailable(providerId) {
+    return Date.now() >= this.getEntry(providerId).cooldownUntil;
+  }
+
+  // Serializable health snapshot for the options page
+  getStatus() {
+    const status = {};
+    for (const [providerId, entry] of this.health.entries()) {
+      status[providerId] = {
+        available: this.isAvailable(providerId),
+        cooldownUntil: entry.cooldownUntil,
+        recentFailures: entry.recentFailures.length,
+        authFailureStreak: entry.authFailureStreak,
+        rateLimitStreak: entry.rateLimitStreak,
+        lastError: entry.lastError,
+        lastSuccess: entry.lastSuccess
+      };
+    }
+    return status;
+  }
+}
+
+// Offline language detection
+// Non-Latin languages are identified by their Unicode script, Latin languages
+// by trigram profiles, common words and language specific letters.
+class LocalLanguageDetector {
+  constructor() {
+    // Script ranges, checked in this order
+    this.scripts = [
+      { id: 'hangul', language: 'ko', pattern: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/ },
+      { id: 'kana', language: 'ja', pattern: /[\u3040-\u30FF]/ },
+      { id: 'han', language: 'zh', pattern: /[\u4E00-\u9FFF\u3400-\u4DBF]/ },
+      { id: 'arabic', language: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F]/ },
+      { id: 'cyrillic', language: 'ru', pattern: /[\u0400-\u04FF]/ },
+      { id: 'latin', language: null, pattern: /[a-zA-Z\u00C0-\u024F]/ }
+    ];
+
+    // Most frequent trigrams per language, most frequent first ("_" marks a word boundary)
+    this.trigramProfiles = this.buildProfiles({
+      en: '_th the he_ _an and nd_ ing ng_ _of of_ _to to_ _in ion tio _a_ er_ ed_ is_ _is re_ es_ _it on_ at_ _be ent _yo you ou_ _wh hat _ha for _fo or_ ll_ _we ly_ his',
+      tr: '_bi bir ir_ lar ler ar_ er_ in_ _ve ve_ an_ en_ nda da_ _de de_ ını _ka ası yor or_ _bu bu_ eri ara ile le_ ın_ _ol ım_ ak_ ıyo iyo mak _ne ne_ dı_ ini lan',
+      es: '_de de_ _la la_ _qu que ue_ os_ _el el_ es_ as_ _en en_ _co ent _lo _se ión ón_ ado do_ ara _pa par _es est _no no_ _un con _po por or_ _ha ien',
+      fr: '_de de_ es_ _le le_ ent _la la_ nt_ _et et_ _qu que ue_ ion on_ _pa _un _co re_ les _en _po our ur_ _pr _ne _ce ait ais _su _vo vou ous est _je',
+      de: 'en_ er_ _de der ich ch_ ein die _di ie_ sch und _un nd_ _ge che den in_ cht _ei ine _ni nic _is ist st_ te_ _da das _zu _ic _wi _au ung ng_',
+      it: '_di di_ _ch che he_ re_ to_ la_ _la no_ _no _il il_ _co one ne_ _pe per er_ _de del ell lla _un _in _è_ _ma ent o_ _se are _so _qu ato zio sta',
+      pt: '_de de_ _qu que ue_ os_ _a_ _co ão_ ção _e_ do_ da_ _da _do _se _pa ara _nã não _um um_ _é_ as_ es_ ent _em em_ ado com _po _ma nte _vo'
+    });
+
+    // Short, frequent words that are rare in the other languages
+    this.commonWords = this.buildWordSets({
+      en: 'the and is are you this that what with have not for was it my your but just can do how hello thanks yes',
+      tr: 've bir bu da de ne için ile çok ben sen var yok değil mi evet ama gibi şey nasıl merhaba teşekkürler tamam',
+      es: 'el la los las que y es en por para pero como muy qué está hola gracias sí yo tú también',
+      fr: 'le la les et est des une pas que je tu vous nous avec pour mais ça oui merci bonjour très aussi',
+      de: 'der die das und ist nicht ich du ein eine mit auf sie wir ja nein danke auch hallo sehr',
+      it: 'il lo gli che di è non un una per con sono ciao grazie anche perché molto sì io',
+      pt: 'o os as que de é não um uma com para você eu mas muito obrigado sim está olá também'
+    });
+
+    // Letters that point to a single language
+    this.distinctiveLetters = {
+      tr: 'ğış',
+      de: 'ßä',
+      es: 'ñ¿¡',
+      fr: 'œêèëîâû',
+      it: 'ìò',
+      pt: 'ãõ'
+    };
+
+    this.minLetters = 2;
+  }
+
+  buildProfiles(profiles) {
+    const result = {};
+    for (const [language, trigrams] of Object.entries(profiles)) {
+      const list = trigrams.split(' ').map(trigram => trigram.replace(/_/g, ' '));
+      result[language] = new Map(list.map((trigram, rank) => [trigram, 1 - rank / list.length]));
+    }
+    return result;
+  }
+
+  buildWordSets(words) {
+    const result = {};
+    for (const [language, list] of Object.entries(words)) {
+      result[language] = new Set(list.split(' '));
+    }
+    return result;
+  }
+
+  // Remove parts that carry no language: placeholders, links, mentions, custom emoji, numbers
+  cleanText(text) {
+    return text
+      .replace(/⟦\/?g?\d+⟧/g, ' ')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/<[@#][!&]?\d+>|<a?:\w+:\d+>|:\w+:/g, ' ')
+      .replace(/[@#]\S+/g, ' ')
+      .replace(/\d+/g, ' ');
+  }
+
+  // Detect the language of text without any network request.
+  // Returns { language, confidence } with a confidence between 0 and 1.
+  detect(text) {
+    if (!text || typeof text !== 'string') {
+      return { language: 'unknown', confidence: 0 };
+    }
+
+    const cleaned = this.cleanText(text);
+    const counts = this.countScripts(cleaned);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    if (total < this.minLetters) {
+      return { language: 'unknown', confidence: 0 };
+    }
+
+    // Japanese mixes kanji with kana, Han without any kana is Chinese
+    if (counts.kana && counts.han) {
+      counts.kana += counts.han;
+      delete counts.han;
+    }
+
+    // Ideographs and syllables carry more information than single letters
+    const weights = { hangul: 3, kana: 3, han: 3, arabic: 1, cyrillic: 1, latin: 1 };
+    let dominant = null;
+    let dominantWeight = 0;
+    let weightedTotal = 0;
+    for (const [scriptId, count] of Object.entries(counts)) {
+      const weight = count * weights[scriptId];
+      weightedTotal += weight;
+      if (weight > dominantWeight) {
+        dominant = scriptId;
+        dominantWeight = weight;
+      }
+    }
+
+    const scriptShare = dominantWeight / weightedTotal;
+
+    if (dominant === 'latin') {
+      return this.detectLatin(cleaned, counts.latin, scriptShare);
+    }
+
+    const language = this.scripts.find(script => script.id === dominant).language;
+    const lengthFactor = Math.min(1, (dominantWeight / weights[dominant]) / (weights[dominant] > 1 ? 2 : 4));
+
+    return {
+      language: language,
+      confidence: this.round(scriptShare * lengthFactor)
+    };
+  }
+
+  countScripts(text) {
+    const counts = {};
+    for (const char of text) {
+      const script = this.scripts.find(candidate => candidate.pattern.test(char));
+      if (script) {
+        counts[script.id] = (counts[script.id] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  detectLatin(text, letterCount, scriptShare) {
+    const normalized = text
+      .toLowerCase()
+      .replace(/\u0307/g, '')
+      .replace(/[^a-z\u00C0-\u024F'\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const words = normalized.split(' ').filter(Boolean);
+    const trigrams = this.getTrigrams(words);
+    const accented = normalized.replace(/[a-z'\s]/g, '');
+
+    const scores = {};
+    for (const language of Object.keys(this.trigramProfiles)) {
+      scores[language] =
+        0.45 * this.scoreTrigrams(trigrams, this.trigramProfiles[language]) +
+        0.4 * this.scoreWords(words, this.commonWords[language]) +
+        0.15 * this.scoreLetters(accented, this.distinctiveLetters[language]);
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [bestLanguage, bestScore] = ranked[0];
+    const secondScore = ranked[1][1];
+
+    if (bestScore === 0) {
+      return { language: 'unknown', confidence: 0 };
+    }
+
+    // Confidence grows with the lead over the runner-up and with the text length
+    const margin = (bestScore - secondScore) / bestScore;
+    const strength = Math.min(1, bestScore / 0.25);
+    const lengthFactor = Math.min(1, 0.35 + letterCount / 30);
+
+    return {
+      language: bestLanguage,
+      confidence: this.round((0.6 * margin + 0.4 * strength) * lengthFactor * scriptShare)
+    };
+  }
+
+  getTrigrams(words) {
+    const trigrams = [];
+    words.forEach(word => {
+      const padded = ` ${word} `;
+      for (let i = 0; i < padded.length - 2; i++) {
+        trigrams.push(padded.slice(i, i + 3));
+      }
+    });
+    return trigrams;
+  }
+
+  scoreTrigrams(trigrams, profile) {
+    if (trigrams.length === 0) {
+      return 0;
+    }
+
+    let score = 0;
+    trigrams.forEach(trigram => {
+      score += profile.get(trigram) || 0;
+    });
+    return score / trigrams.length;
+  }
+
+  scoreWords(words, commonWords) {
+    if (words.length === 0) {
+      return 0;
+    }
+
+    return words.filter(word => commonWords.has(word)).length / words.length;
+  }
+
+  scoreLetters(accented, letters) {
+    if (!accented || !letters) {
+      return 0;
+    }
+
+    let matches = 0;
+    for (const char of accented) {
+      if (letters.includes(char)) {
+        matches++;
+      }
+    }
+    return matches / accented.length;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create global local language detector instance
+const localLanguageDetector = new LocalLanguageDetector();
+
+// Persistent Translation Cache
+// Entries live in IndexedDB so they survive service worker restarts.
+// The least recently used entries are evicted once the size cap is exceeded.
+class TranslationCache {
+  constructor() {
+    this.dbName = 'discord-translator-cache';
+    this.storeName = 'translations';
+    this.statsKey = 'cacheStats';
+    this.statsSaveDelay = 2000;
+    this.dbPromise = null;
+    this.stats = null;
+    this.statsSaveTimer = null;
+    this.limitsPromise = null;
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('lastAccess', 'lastAccess');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  // Run an operation in a transaction, resolves with the result of the returned request
+  async withStore(mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      let result;
+
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Cache key from provider, purpose, language pair and whitespace-normalized text
+  getKey(text, sourceLang, targetLang, providerId, purpose) {
+    const normalizedText = text.replace(/\s+/g, ' ').trim();
+    return [providerId, purpose, sourceLang, targetLang, normalizedText].join('|');
+  }
+
+  // Limits are read from the settings once, resetLimits() drops them when the settings change
+  getLimits() {
+    if (!this.limitsPromise) {
+      this.limitsPromise = settingsManager.getSettings()
+        .then(settings => ({
+          maxEntries: settings.cacheMaxEntries,
+          ttl: settings.cacheTtlHours * 60 * 60 * 1000
+        }))
+        .catch(error => {
+          this.limitsPromise = null;
+          throw error;
+        });
+    }
+    return this.limitsPromise;
+  }
+
+  resetLimits() {
+    this.limitsPromise = null;
+  }
+
+  // Get a cached translation, null when missing or expired
+  async get(key) {
+    const { ttl } = await this.getLimits();
+    const entry = await this.withStore('readonly', store => store.get(key));
+
+    if (!entry || Date.now() - entry.createdAt >= ttl) {
+      if (entry) {
+        await this.withStore('readwrite', store => store.delete(key));
+      }
+      await this.recordLookup(false);
+      return null;
+    }
+
+    entry.lastAccess = Date.now();
+    await this.withStore('readwrite', store => store.put(entry));
+    await this.recordLookup(true);
+
+    return entry.data;
+  }
+
+  async set(key, data) {
+    const { maxEntries } = await this.getLimits();
+    const now = Date.now();
+
+    await this.withStore('readwrite', store => store.put({
+      key: key,
+      data: data,
+      createdAt: now,
+      lastAccess: now
+    }));
+
+    await this.evict(maxEntries);
+  }
+
+  // Remove least recently used entries above the size cap
+  async evict(maxEntries) {
+    const count = await this.withStore('readonly', store => store.count());
+    let excess = count - maxEntries;
+
+    if (excess <= 0) {
+      return;
+    }
+
+    await this.withStore('readwrite', store => {
+      store.index('lastAccess').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && excess > 0) {
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        }
+      };
+    });
+
+    console.log(`Evicted ${count - maxEntries} cached translations`);
+  }
+
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+
+    clearTimeout(this.statsSaveTimer);
+    this.statsSaveTimer = null;
+    this.stats = { hits: 0, misses: 0, since: Date.now() };
+    await chrome.storage.local.set({ [this.statsKey]: this.stats });
+
+    console.log('Translation cache cleared');
+  }
+
+  async loadStats() {
+    if (!this.stats) {
+      const result = await chrome.storage.local.get(this.statsKey);
+      this.stats = result[this.statsKey] || { hits: 0, misses: 0, since: Date.now() };
+    }
+    return this.stats;
+  }
+
+  // Count a lookup, stats are written to storage in batches
+  async recordLookup(hit) {
+    const stats = await this.loadStats();
+    if (hit) {
+      stats.hits++;
+    } else {
+      stats.misses++;
+    }
+
+    if (!this.statsSaveTimer) {
+      this.statsSaveTimer = setTimeout(() => {
+        this.statsSaveTimer = null;
+        chrome.storage.local.set({ [this.statsKey]: this.stats })
+          .catch(error => console.warn('Cache stats could not be saved:', error.message));
+      }, this.statsSaveDelay);
+    }
+  }
+
+  async getStats() {
+    const stats = await this.loadStats();
+    const entries = await this.withStore('readonly', store => store.count());
+    const lookups = stats.hits + stats.misses;
+
+    return {
+      entries: entries,
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: lookups > 0 ? stats.hits / lookups : 0,
+      since: stats.since
+    };
+  }
+}
+
+// Create global translation cache instance
+const translationCache = new TranslationCache();
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'sync' && changes.settings) {
+    translationCache.resetLimits();
+  }
+});
+
+// Translation Memory
+// Translations corrected by the user. They are reused for the same text and for close
+// variants of it before the cache or a provider is asked.
+class TranslationMemory {
+  constructor() {
+    this.storageKey = 'translationMemory';
+    this.maxEntries = 1000;
+    this.fuzzyThreshold = 0.85;
+    this.maxFuzzyLength = 500;
+    // Words and suffixes that flip a sentence's meaning. A close variant is only reused
+    // when it has the same ones, so "I can't come" never gets the "I can come" correction.
+    this.negationPattern = new RegExp([
+      '\\b(?:not|no|never|nothing|nobody|none|neither|nor|cannot|without)\\b',
+      'n\'t\\b',
+      '\\b(?:nicht|kein\\w*|nie|niemals|niet|geen|nooit|nunca|nada|ni|non|pas|jamais|rien|personne)\\b',
+      '\\bn\'',
+      '(?:^|\\s)(?:değil|yok|hayır|asla|hiç)(?=\\s|$)',
+      'm[ıiuü]yor|m[ae]d[ıi]|m[ae]z(?=\\s|$)|m[ae]y[ae]c[ae]k'
+    ].join('|'), 'gu');
+    this.entries = null;
+  }
+
+  async load() {
+    if (!this.entries) {
+      const result = await chrome.storage.local.get(this.storageKey);
+      this.entries = Array.isArray(result[this.storageKey]) ? result[this.storageKey] : [];
+    }
+    return this.entries;
+  }
+
+  // Case, whitespace and closing punctuation don't make a phrase different
+  normalize(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.!?…。！？]+$/, '');
+  }
+
+  // Save a corrected translation, replacing an older correction of the same text
+  async add(originalText, translatedText, sourceLang, targetLang) {
+    if (!originalText || !translatedText || !targetLang) {
+      throw new Error('Original text, translation and target language are required');
+    }
+
+    const entries = await this.load();
+    const normalized = this.normalize(originalText);
+    const existing = entries.findIndex(entry => entry.normalized === normalized && entry.targetLang === targetLang);
+    if (existing !== -1) {
+      entries.splice(existing, 1);
+    }
+
+    entries.push({
+      normalized: normalized,
+      originalText: originalText,
+      translatedText: translatedText,
+      sourceLang: sourceLang || 'auto',
+      targetLang: targetLang,
+      updatedAt: Date.now()
+    });
+
+    // Oldest corrections go first
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+
+    await chrome.storage.local.set({ [this.storageKey]: entries });
+    console.log('Translation memory entry saved:', originalText.substring(0, 50));
+  }
+
+  // Find a correction for the text, exact matches first, then the closest variant
+  async find(text, targetLang) {
+    const entries = await this.load();
+    const normalized = this.normalize(text);
+    const candidates = entries.filter(entry => entry.targetLang === targetLang);
+
+    const exact = candidates.find(entry => entry.normalized === normalized);
+    if (exact) {
+      return { entry: exact, match: 'exact', score: 1 };
+    }
+
+    if (normalized.length > this.maxFuzzyLength) {
+      return null;
+    }
+
+    let best = null;
+    candidates.forEach(entry => {
+      // Texts of very different length can't reach the threshold
+      const lengthRatio = Math.min(entry.normalized.length, normalized.length) /
+        Math.max(entry.normalized.length, normalized.length);
+      if (lengthRatio < this.fuzzyThreshold || entry.normalized.length > this.maxFuzzyLength) {
+        return;
+      }
+
+      if (!this.sameKeyTokens(entry.normalized, normalized)) {
+        return;
+      }
+
+      const score = this.similarity(entry.normalized, normalized);
+      if (score >= this.fuzzyThreshold && (!best || score > best.score)) {
+        best = { entry: entry, match: 'fuzzy', score: score };
+      }
+    });
+
+    return best;
+  }
+
+  // Numbers and negations must be identical for a fuzzy match, since a one character
+  // difference there ("5pm" and "6pm") changes what the message says
+  sameKeyTokens(a, b) {
+    const numbers = text => (text.match(/\d+(?:[.,:]\d+)*/g) || []).join(' ');
+    const negations = text => (text.match(this.negationPattern) || []).map(token => token.trim()).join(' ');
+    return numbers(a) === numbers(b) && negations(a) === negations(b);
+  }
+
+  // Similarity between 0 and 1 from the Levenshtein distance
+  similarity(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length, 1);
+  }
+}
+
+// Create global translation memory instance
+const translationMemory = new TranslationMemory();
+
+// Provider Rate Limiter
+// A token bucket per provider keeps the request rate within provider quotas.
+// A 429 answer blocks the provider's bucket for the time given in Retry-After.
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+    this.resumeTimers = new Map();
+    this.listeners = [];
+  }
+
+  getBucket(provider) {
+    if (!this.buckets.has(provider.id)) {
+      this.buckets.set(provider.id, {
+        providerId: provider.id,
+        providerName: provider.name,
+        capacity: provider.rateLimit.capacity,
+        refillPerSecond: provider.rateLimit.refillPerSecond,
+        tokens: provider.rateLimit.capacity,
+        updatedAt: Date.now(),
+        blockedUntil: 0
+      });
+    }
+    return this.buckets.get(provider.id);
+  }
+
+  refill(bucket, now) {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  // Wait until the provider may receive another request
+  async acquire(provider, signal) {
+    const bucket = this.getBucket(provider);
+
+    while (true) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+
+      const now = Date.now();
+      this.refill(bucket, now);
+
+      if (bucket.blockedUntil <= now && bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+
+      const delay = bucket.blockedUntil > now
+        ? bucket.blockedUntil - now
+        : Math.ceil((1 - bucket.tokens) / bucket.refillPerSecond * 1000);
+      await this.wait(delay, signal);
+    }
+  }
+
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  // Block a provider after it answered with a rate limit
+  throttle(provider, retryAfter) {
+    const bucket = this.getBucket(provider);
+    const blockedUntil = Date.now() + retryAfter;
+
+    if (blockedUntil <= bucket.blockedUntil) {
+      return;
+    }
+
+    bucket.blockedUntil = blockedUntil;
+    bucket.tokens = 0;
+    console.warn(`Provider ${provider.id} is rate limited for ${Math.round(retryAfter / 1000)}s`);
+    this.notify(bucket);
+
+    clearTimeout(this.resumeTimers.get(provider.id));
+    this.resumeTimers.set(provider.id, setTimeout(() => {
+      this.resumeTimers.delete(provider.id);
+      this.notify(bucket);
+    }, retryAfter));
+  }
+
+  getBucketStatus(bucket) {
+    return {
+      providerId: bucket.providerId,
+      providerName: bucket.providerName,
+      throttled: bucket.blockedUntil > Date.now(),
+      resumeAt: bucket.blockedUntil
+    };
+  }
+
+  // Throttled providers with the time they resume
+  getStatus() {
+    return Array.from(this.buckets.values())
+      .map(bucket => this.getBucketStatus(bucket))
+      .filter(status => status.throttled);
+  }
+
+  // Register a listener for throttle and resume events
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(bucket) {
+    const status = this.getBucketStatus(bucket);
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+// Translation Service Class
+class TranslationService {
+  constructor() {
+    this.defaultProvider = 'google';
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // 1 second
+    this.localDetectionThreshold = 0.5; // Local detections at or above this skip the network
+
+    // Register built-in providers
+    this.providers = new ProviderRegistry();
+    this.providers.register(new GoogleTranslateProvider(this));
+    this.providers.register(new LibreTranslateProvider(this));
+    this.providers.register(new DeepLProvider(this));
+    this.providers.register(new OpenAICompatibleProvider(this));
+
+    this.health = new ProviderHealthTracker();
+    this.rateLimiter = new RateLimiter();
+    this.maxRetryAfter = 10000; // Longer rate limits fail instead of holding the request
+    this.inFlight = new Map(); // Pending translations by cache key, shared by identical requests
+  }
+
+  // Register an additional translation provider
+  registerProvider(provider) {
+    this.providers.register(provider);
+  }
+
+  // Resolve the selected provider followed by the configured fallback providers.
+  // Providers on cooldown are moved to the end so they are only used as a last resort.
+  async getProviderChain() {
+    const settings = await settingsManager.getSettings();
+    const primary = this.providers.has(settings.provider) ? settings.provider : this.defaultProvider;
+    const providerIds = [primary, ...(settings.fallbackProviders || [])]
+      .filter((providerId, index, ids) => ids.indexOf(providerId) === index);
+
+    // Keys may be locked behind a passphrase, providers that need one are skipped then
+    let apiKeys = {};
+    let apiKeyError = null;
+    try {
+      apiKeys = await apiKeyStore.getKeys();
+    } catch (error) {
+      apiKeyError = error;
+    }
+
+    const chain = [];
+    for (const providerId of providerIds) {
+      const provider = this.providers.get(providerId);
+      if (!provider) {
+        console.warn('Skipping unknown fallback provider:', providerId);
+        continue;
+      }
+
+      const config = {
+        ...((settings.providerSettings && settings.providerSettings[providerId]) || {}),
+        apiKey: apiKeys[providerId] || ''
+      };
+
+      if (provider.apiKeyMode === 'required' && !config.apiKey) {
+        apiKeyError = apiKeyError || new Error(`${provider.name} API key is not configured. Add it on the options page.`);
+        console.warn('Skipping provider without API key:', providerId);
+        continue;
+      }
+
+      if (providerId !== primary && provider.validateConfig(config).length > 0) {
+        console.warn('Skipping fallback provider with incomplete settings:', providerId);
+        continue;
+      }
+
+      chain.push({ provider, config });
+    }
+
+    if (chain.length === 0) {
+      throw apiKeyError || new Error('No translation provider available');
+    }
+
+    const available = chain.filter(entry => this.health.isAvailable(entry.provider.id));
+    const coolingDown = chain.filter(entry => !this.health.isAvailable(entry.provider.id));
+    return [...available, ...coolingDown];
+  }
+
+  // Run an operation against each provider in the chain until one succeeds
+  async withFailover(operation) {
+    const chain = await this.getProviderChain();
+    let lastError = null;
+
+    for (const { provider, config } of chain) {
+      try {
+        const result = await operation(provider, config);
+        this.health.recordSuccess(provider.id);
+        return result;
+      } catch (error) {
+        // A cancelled request says nothing about the provider
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+
+        lastError = error;
+        if (!error.unsupported) {
+          this.health.recordFailure(provider.id, error);
+        }
+        console.warn(`Provider ${provider.id} failed, trying next provider:`, error.message);
+      }
+    }
+
+    throw lastError || new Error('No translation provider available');
+  }
+
+  // Reduce provider language codes like "zh-CN" or "EN" to our base codes
+  normalizeLanguageCode(code) {
+    if (!code || typeof code !== 'string') {
+      return null;
+    }
+    return code.split('-')[0].toLowerCase();
+  }
+
+  // Get cached translation if available and valid
+  async getCachedTranslation(text, sourceLang, targetLang, providerId, purpose) {
+    try {
+      const key = translationCache.getKey(text, this.normalizeLanguageCode(sourceLang), targetLang, providerId, purpose);
+      const cached = await translationCache.get(key);
+
+      if (cached) {
+        console.log('Using cached translation for:', text.substring(0, 50));
+      }
+
+      return cached;
+    } catch (error) {
+      // A broken cache must not block translations
+      console.warn('Translation cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  // Get a user corrected translation from the translation memory
+  async getRememberedTranslation(text, targetLang) {
+    try {
+      const remembered = await translationMemory.find(text, targetLang);
+      if (!remembered) {
+        return null;
+      }
+
+      console.log(`Using ${remembered.match} translation memory match for:`, text.substring(0, 50));
+      return {
+        originalText: text,
+        translatedText: remembered.entry.translatedText,
+        sourceLang: remembered.entry.sourceLang,
+        targetLang: targetLang,
+        provider: 'memory',
+        confidence: remembered.score,
+        memoryMatch: remembered.match
+      };
+    } catch (error) {
+      console.warn('Translation memory lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  // Cache translation result
+  async cacheTranslation(text, sourceLang, targetLang, result, providerId, purpose) {
+    try {
+      const key = translationCache.getKey(text, this.normalizeLanguageCode(sourceLang), targetLang, providerId, purpose);
+      await translationCache.set(key, result);
+    } catch (error) {
+      console.warn('Translation could not be cached:', error.message);
+    }
+  }
+
+  // Sleep function for retry delays
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Milliseconds from a Retry-After header (seconds or HTTP date), null if missing
+  parseRetryAfter(response) {
+    const value = response.headers.get('Retry-After');
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Make HTTP request with retry logic, rate limited when the provider is given
+  async makeRequest(url, options, provider = null, retryCount = 0) {
+    try {
+      if (provider) {
+        await this.rateLimiter.acquire(provider, options.signal);
+      }
+
+      console.log(`Making request to: ${url} (attempt ${retryCount + 1})`);
+
+      const response = await fetch(url, options);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+
+        // Parse error details if available
+        try {
+          const errorData = JSON.parse(errorText);
+          if (errorData.error && errorData.error.message) {
+            errorMessage = errorData.error.message;
+          } else if (typeof errorData.error === 'string') {
+            errorMessage = errorData.error;
+          } else if (typeof errorData.message === 'string') {
+            errorMessage = errorData.message;
+          }
+        } catch (e) {
+          // Use default error message if parsing fails
+        }
+
+        // Handle specific error codes
+        if (response.status === 403) {
+          errorMessage = 'API key is invalid or quota exceeded';
+        } else if (response.status === 429) {
+          errorMessage = 'Rate limit exceeded. Please try again later';
+        } else if (response.status === 456) {
+          errorMessage = 'Translation quota exceeded';
+        } else if (response.status >= 500) {
+          errorMessage = 'Translation service is temporarily unavailable';
+        }
+
+        // Keep the status code for provider health tracking
+        const error = new Error(errorMessage);
+        error.status = response.status;
+
+        // Honor the server's hint, otherwise back off exponentially
+        if (response.status === 429) {
+          error.rateLimited = true;
+          error.retryAfter = this.parseRetryAfter(response) || this.retryDelay * Math.pow(2, retryCount);
+          if (provider) {
+            this.rateLimiter.throttle(provider, error.retryAfter);
+          }
+        }
 
-      // Retry logic for network errors and server errors
+        throw error;
+      }
+
+      const data = await response.json();
+      console.log('Request successful');
+      return data;
+
+    } catch (error) {
+      console.error(`Request failed (attempt ${retryCount + 1}):`, error.message);
+
+      // Cancelled requests are never retried
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+
+      // Retry logic for network errors, server errors and short rate limits
       if (retryCount < this.maxRetries - 1) {
+        if (error.rateLimited && error.retryAfter <= this.maxRetryAfter) {
+          console.log(`Rate limited, retrying in ${error.retryAfter}ms...`);
+          if (!provider) {
+            await this.sleep(error.retryAfter);
+          }
+          // With a provider the rate limiter waits until the block ends
+          return this.makeRequest(url, options, provider, retryCount + 1);
+        }
+
         const shouldRetry =
           error.name === 'TypeError' || // Network errors
-          error.message.includes('temporarily unavailable') ||
-          error.message.includes('Rate limit exceeded');
+          error.message.includes('temporarily unavailable');
 
         if (shouldRetry) {
           const delay = this.retryDelay * Math.pow(2, retryCount); // Exponential backoff
           console.log(`Retrying in ${delay}ms...`);
           await this.sleep(delay);
-          return this.makeRequest(url, options, retryCount + 1);
+          return this.makeRequest(url, options, provider, retryCount + 1);
         }
       }
 
@@ -352,8 +2883,10 @@ class TranslationService {
     }
   }
 
-  // Translate text using Google Translate API
-  async translateText(text, targetLang, sourceLang = 'auto') {
+  // Translate text using the active translation provider.
+  // The provider reports the detected source language with the translation,
+  // so with skipSameLanguage no separate detection call is needed.
+  async translateText(text, targetLang, sourceLang = 'auto', options = {}) {
     try {
       // Input validation
       if (!text || typeof text !== 'string') {
@@ -370,73 +2903,354 @@ class TranslationService {
         throw new Error('Text cannot be empty');
       }
 
-      // Check cache first
-      const cached = this.getCachedTranslation(text, sourceLang, targetLang);
-      if (cached) {
-        return cached;
+      const purpose = options.purpose || 'reading';
+
+      const result = await this.withFailover(async (provider, config) => {
+        // User corrections come before the cache
+        const remembered = await this.getRememberedTranslation(text, targetLang);
+        if (remembered) {
+          return remembered;
+        }
+
+        // Check cache first
+        const cached = await this.getCachedTranslation(text, sourceLang, targetLang, provider.id, purpose);
+        if (cached) {
+          return cached;
+        }
+
+        await this.checkTargetLanguage(provider, config, targetLang);
+
+        const [result] = await this.translateShared(provider, config, [text], targetLang, sourceLang, {
+          purpose: purpose,
+          signal: options.signal
+        });
+
+        console.log('Translation successful:', {
+          provider: provider.id,
+          original: text.substring(0, 50),
+          translated: result.translatedText.substring(0, 50),
+          sourceLang: result.sourceLang,
+          targetLang: targetLang
+        });
+
+        return result;
+      });
+
+      return this.applySameLanguageSkip(result, options);
+
+    } catch (error) {
+      console.error('Translation error:', error);
+      throw error;
+    }
+  }
+
+  // Translate several texts with as few provider requests as possible.
+  // Resolves to one result per text in input order.
+  async translateBatch(texts, targetLang, sourceLang = 'auto', options = {}) {
+    try {
+      // Input validation
+      if (!Array.isArray(texts) || texts.length === 0) {
+        throw new Error('Texts must be a non-empty array');
       }
 
-      // Use hardcoded API key
-      const apiKey = settingsManager.apiKey;
-      if (!apiKey) {
-        throw new Error('Google Translate API key not available.');
+      if (texts.some(text => !text || typeof text !== 'string' || !text.trim())) {
+        throw new Error('Every text must be a non-empty string');
+      }
+
+      if (!targetLang || typeof targetLang !== 'string') {
+        throw new Error('Target language must be specified');
       }
 
-      // Prepare request URL with new API structure
-      const params = new URLSearchParams({
-        'params.client': 'gtx',
-        'query.source_language': sourceLang === 'auto' ? 'auto' : sourceLang,
-        'query.target_language': targetLang,
-        'query.display_language': targetLang,
-        'query.text': text,
-        'key': apiKey,
-        'data_types': 'TRANSLATION'
+      const purpose = options.purpose || 'reading';
+      texts = texts.map(text => text.trim());
+
+      const results = await this.withFailover(async (provider, config) => {
+        // User corrections come before the cache, like in translateText
+        const batchResults = await Promise.all(texts.map(async (text) =>
+          await this.getRememberedTranslation(text, targetLang) ||
+          await this.getCachedTranslation(text, sourceLang, targetLang, provider.id, purpose)
+        ));
+
+        // Identical texts are only sent once
+        const pending = new Map();
+        texts.forEach((text, index) => {
+          if (batchResults[index]) {
+            return;
+          }
+          if (pending.has(text)) {
+            pending.get(text).push(index);
+          } else {
+            pending.set(text, [index]);
+          }
+        });
+
+        if (pending.size === 0) {
+          return batchResults;
+        }
+
+        await this.checkTargetLanguage(provider, config, targetLang);
+
+        const pendingTexts = Array.from(pending.keys());
+        const translations = await this.translateShared(provider, config, pendingTexts, targetLang, sourceLang, {
+          purpose: purpose,
+          signal: options.signal
+        });
+
+        pendingTexts.forEach((text, offset) => {
+          pending.get(text).forEach(index => {
+            batchResults[index] = translations[offset];
+          });
+        });
+
+        console.log('Batch translation successful:', {
+          provider: provider.id,
+          texts: texts.length,
+          requested: pendingTexts.length,
+          targetLang: targetLang
+        });
+
+        return batchResults;
+      });
+
+      return results.map(result => this.applySameLanguageSkip(result, options));
+
+    } catch (error) {
+      console.error('Batch translation error:', error);
+      throw error;
+    }
+  }
+
+  // Translate and cache texts that missed the cache. A text that is already being
+  // translated by another request (other tab, reply preview) joins that request.
+  async translateShared(provider, config, texts, targetLang, sourceLang, options) {
+    const keys = texts.map(text => translationCache.getKey(
+      text, this.normalizeLanguageCode(sourceLang), targetLang, provider.id, options.purpose
+    ));
+    const promises = keys.map(key => this.inFlight.get(key));
+    const ownIndexes = keys.map((key, index) => index).filter(index => !promises[index]);
+
+    if (ownIndexes.length > 0) {
+      const ownTexts = ownIndexes.map(index => texts[index]);
+      const request = this.translateSegments(provider, config, ownTexts, targetLang, sourceLang, options)
+        .then(async (translations) => {
+          const results = ownTexts.map((text, offset) =>
+            this.createResult(text, translations[offset], sourceLang, targetLang, provider));
+
+          // Cache under the requested source language so auto lookups hit
+          for (const [offset, text] of ownTexts.entries()) {
+            await this.cacheTranslation(text, sourceLang, targetLang, results[offset], provider.id, options.purpose);
+          }
+          return results;
+        });
+
+      ownIndexes.forEach((index, offset) => {
+        const promise = request.then(results => results[offset]);
+        const cleanup = () => {
+          if (this.inFlight.get(keys[index]) === promise) {
+            this.inFlight.delete(keys[index]);
+          }
+        };
+        promise.then(cleanup, cleanup);
+
+        this.inFlight.set(keys[index], promise);
+        promises[index] = promise;
       });
+    }
 
-      const url = `${this.baseUrl}?${params.toString()}`;
+    return Promise.all(promises.map(async (promise, index) => {
+      if (ownIndexes.includes(index)) {
+        return promise;
+      }
 
-      const options = {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
+      try {
+        return await this.waitWithSignal(promise, options.signal);
+      } catch (error) {
+        // The request we joined was cancelled by its owner, translate on our own
+        if (error.name === 'AbortError' && !(options.signal && options.signal.aborted)) {
+          const [result] = await this.translateShared(provider, config, [texts[index]], targetLang, sourceLang, options);
+          return result;
         }
-      };
+        throw error;
+      }
+    }));
+  }
 
-      // Make API request
-      const data = await this.makeRequest(url, options);
+  // Wait for a shared promise, but stop waiting when our own request is cancelled
+  waitWithSignal(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
 
-      // Parse response from new API structure
-      if (!data || !data.translation) {
-        throw new Error('Invalid response from Google Translate API');
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      if (signal.aborted) {
+        onAbort();
+        return;
       }
 
-      const result = {
-        originalText: text,
-        translatedText: data.translation,
-        sourceLang: data.sourceLanguage || (data.detectedLanguages && data.detectedLanguages.srclangs && data.detectedLanguages.srclangs[0]) || sourceLang,
-        targetLang: targetLang,
-        confidence: 1.0 // Google Translate doesn't provide confidence scores
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  // Send texts to the provider in as few requests as its limits allow. Texts longer than
+  // the provider's chunk size are split and put back together with their original whitespace.
+  // Glossary terms are swapped for placeholders on the way out and replaced on the way back.
+  async translateSegments(provider, config, texts, targetLang, sourceLang, options) {
+    const glossary = await glossaryStore.getGlossary();
+    const protectedTexts = texts.map(text => glossaryStore.protect(glossary, text, sourceLang, targetLang));
+
+    const segments = [];
+    protectedTexts.forEach(({ text }, textIndex) => {
+      this.splitIntoChunks(text, provider.maxChunkLength).forEach(chunk => {
+        // Providers trim whitespace, so line breaks around a chunk are kept aside
+        const [, leading, core, trailing] = chunk.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        segments.push({ textIndex, leading, core, trailing, translation: null });
+      });
+    });
+
+    const pending = segments.filter(segment => segment.core);
+    let start = 0;
+    while (start < pending.length) {
+      // Group segments up to the provider's batch count and size
+      let end = start;
+      let length = 0;
+      while (end < pending.length && end - start < provider.maxBatchSize &&
+        (end === start || length + pending[end].core.length <= provider.maxBatchLength)) {
+        length += pending[end].core.length;
+        end++;
+      }
+
+      const group = pending.slice(start, end);
+      const translations = await provider.translateBatch(
+        group.map(segment => segment.core),
+        targetLang,
+        sourceLang,
+        config,
+        options
+      );
+
+      if (!Array.isArray(translations) || translations.length !== group.length) {
+        throw new Error(`Invalid batch response from ${provider.name}`);
+      }
+
+      group.forEach((segment, offset) => {
+        segment.translation = translations[offset];
+      });
+      start = end;
+    }
+
+    return protectedTexts.map(({ replacements }, textIndex) => {
+      const textSegments = segments.filter(segment => segment.textIndex === textIndex);
+      const translatedText = textSegments
+        .map(segment => segment.leading + (segment.translation ? segment.translation.translatedText : '') + segment.trailing)
+        .join('');
+      return {
+        translatedText: glossaryStore.restore(translatedText, replacements),
+        sourceLang: this.getMainSourceLang(textSegments)
       };
+    });
+  }
+
+  // Split text into chunks of at most maxLength characters, preferring paragraph,
+  // then line, then sentence, then word boundaries. Joined chunks equal the text.
+  splitIntoChunks(text, maxLength, level = 0) {
+    const boundaries = [
+      /(?<=\n[ \t]*\n)/, // Paragraphs
+      /(?<=\n)/, // Lines
+      /(?<=[.!?…]\s)|(?<=[。！？])/, // Sentences
+      /(?<=\s)/ // Words
+    ];
 
-      // Cache the result
-      this.cacheTranslation(text, result.sourceLang, targetLang, result);
+    if (text.length <= maxLength) {
+      return [text];
+    }
 
-      console.log('Translation successful:', {
-        original: text.substring(0, 50),
-        translated: result.translatedText.substring(0, 50),
-        sourceLang: result.sourceLang,
-        targetLang: targetLang
+    if (level >= boundaries.length) {
+      // No boundary left, cut hard by UTF-16 length like the checks above,
+      // without splitting surrogate pairs
+      const chunks = [''];
+      Array.from(text).forEach(character => {
+        if (chunks[chunks.length - 1] && chunks[chunks.length - 1].length + character.length > maxLength) {
+          chunks.push('');
+        }
+        chunks[chunks.length - 1] += character;
       });
+      return chunks;
+    }
 
-      return result;
+    const pieces = text
+      .split(boundaries[level])
+      .filter(Boolean)
+      .flatMap(piece => this.splitIntoChunks(piece, maxLength, level + 1));
 
-    } catch (error) {
-      console.error('Translation error:', error);
+    // Merge neighbouring pieces back up to the size limit
+    const chunks = [];
+    pieces.forEach(piece => {
+      if (chunks.length > 0 && chunks[chunks.length - 1].length + piece.length <= maxLength) {
+        chunks[chunks.length - 1] += piece;
+      } else {
+        chunks.push(piece);
+      }
+    });
+    return chunks;
+  }
+
+  // Source language of most of the text when chunks were detected differently
+  getMainSourceLang(segments) {
+    const lengths = new Map();
+    segments.forEach(segment => {
+      const language = segment.translation && this.normalizeLanguageCode(segment.translation.sourceLang);
+      if (language) {
+        lengths.set(language, (lengths.get(language) || 0) + segment.core.length);
+      }
+    });
+
+    let mainLanguage = null;
+    lengths.forEach((length, language) => {
+      if (!mainLanguage || length > lengths.get(mainLanguage)) {
+        mainLanguage = language;
+      }
+    });
+    return mainLanguage;
+  }
+
+  async checkTargetLanguage(provider, config, targetLang) {
+    const languages = await provider.supportedLanguages(config);
+    if (!languages.includes(targetLang)) {
+      const error = new Error(`${provider.name} does not support target language: ${targetLang}`);
+      error.unsupported = true; // Not a provider health problem
       throw error;
     }
   }
 
-  // Detect language of text using Google Translate API
+  createResult(text, translation, sourceLang, targetLang, provider) {
+    return {
+      originalText: text,
+      translatedText: translation.translatedText,
+      sourceLang: this.normalizeLanguageCode(translation.sourceLang) || sourceLang,
+      targetLang: targetLang,
+      provider: provider.id,
+      confidence: 1.0 // Providers don't report translation confidence
+    };
+  }
+
+  // Don't show a translation if the text already is in the target language.
+  // User corrections are always shown.
+  applySameLanguageSkip(result, options) {
+    if (options.skipSameLanguage && result.sourceLang === result.targetLang && !result.memoryMatch) {
+      return {
+        ...result,
+        translatedText: result.originalText,
+        skipped: true,
+        reason: 'Source and target languages are the same'
+      };
+    }
+
+    return result;
+  }
+
+  // Detect language of text, locally when possible, otherwise with the active provider
   async detectLanguage(text) {
     try {
       // Input validation
@@ -449,112 +3263,267 @@ class TranslationService {
         throw new Error('Text cannot be empty');
       }
 
-      // Use hardcoded API key
-      const apiKey = settingsManager.apiKey;
-      if (!apiKey) {
-        throw new Error('Google Translate API key not available.');
+      const local = localLanguageDetector.detect(text);
+      if (local.confidence >= this.localDetectionThreshold) {
+        return {
+          language: local.language,
+          confidence: local.confidence,
+          isReliable: true,
+          source: 'local'
+        };
+      }
+
+      try {
+        return await this.detectLanguageWithProvider(text);
+      } catch (error) {
+        if (local.language === 'unknown') {
+          throw error;
+        }
+
+        console.warn('Provider language detection failed, using local result:', error.message);
+        return {
+          language: local.language,
+          confidence: local.confidence,
+          isReliable: false,
+          source: 'local'
+        };
+      }
+
+    } catch (error) {
+      console.error('Language detection error:', error);
+      throw error;
+    }
+  }
+
+  async detectLanguageWithProvider(text) {
+    return this.withFailover(async (provider, config) => {
+      const detection = await provider.detect(text, config);
+
+      // Providers without a score report null confidence, those results are not reliable
+      const scored = typeof detection.confidence === 'number';
+      const result = {
+        language: this.normalizeLanguageCode(detection.language) || 'unknown',
+        confidence: scored ? detection.confidence : null,
+        isReliable: scored && detection.confidence >= this.localDetectionThreshold,
+        source: provider.id
+      };
+
+      console.log('Language detection successful:', {
+        provider: provider.id,
+        text: text.substring(0, 50),
+        detectedLang: result.language,
+        confidence: result.confidence
+      });
+
+      return result;
+    });
+  }
+
+  // Check if translation is needed (avoid translating if source and target are the same).
+  // Uses only local detection, so text in the target language never reaches the network.
+  shouldTranslate(text, targetLang) {
+    const detection = localLanguageDetector.detect(text);
+
+    // Uncertain detections are left to the provider, which reports the source with the translation.
+    // Short or closely related texts often score between 0.3 and 0.5 for the wrong language.
+    if (detection.confidence < this.localDetectionThreshold) {
+      return {
+        shouldTranslate: true,
+        reason: 'Language detection confidence too low',
+        detectedLang: detection.language,
+        confidence: detection.confidence
+      };
+    }
+
+    // Don't translate if detected language is the same as target
+    if (detection.language === targetLang) {
+      return {
+        shouldTranslate: false,
+        reason: 'Source and target languages are the same',
+        detectedLang: detection.language,
+        confidence: detection.confidence
+      };
+    }
+
+    return {
+      shouldTranslate: true,
+      detectedLang: detection.language,
+      confidence: detection.confidence
+    };
+  }
+}
+
+// Create global translation service instance
+const translationService = new TranslationService();
+
+// Translation Request Scheduler
+// Every translation goes through this queue. It limits concurrent provider requests,
+// runs the most urgent work first and can abort stale work of a tab.
+class RequestScheduler {
+  constructor() {
+    this.maxConcurrent = 4;
+    this.priorities = {
+      writing: 0, // Message the user is about to send
+      click: 1, // Translation the user clicked
+      visible: 2, // Auto translation of a message on screen
+      backfill: 3 // Auto translation of an off-screen message
+    };
+    this.queue = [];
+    this.running = new Set();
+    this.sequence = 0;
+    this.pausedUntil = 0;
+    this.resumeTimer = null;
+  }
+
+  getPriority(name) {
+    return name in this.priorities ? this.priorities[name] : this.priorities.click;
+  }
+
+  // Queue a task, it is called with an AbortSignal once a slot is free
+  schedule(task, { priority = 'click', tabId = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        task: task,
+        priority: this.getPriority(priority),
+        tabId: tabId,
+        sequence: this.sequence++,
+        controller: new AbortController(),
+        resolve: resolve,
+        reject: reject
+      });
+
+      // Lower number first, same priority in arrival order
+      this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      this.runNext();
+    });
+  }
+
+  // Hold back queued work while a provider is rate limited, writing translations still run
+  pause(until) {
+    if (until <= this.pausedUntil) {
+      return;
+    }
+
+    this.pausedUntil = until;
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.runNext();
+    }, until - Date.now());
+  }
+
+  isPaused() {
+    return Date.now() < this.pausedUntil;
+  }
+
+  runNext() {
+    while (this.running.size < this.maxConcurrent && this.queue.length > 0) {
+      const index = this.isPaused()
+        ? this.queue.findIndex(entry => entry.priority === this.priorities.writing)
+        : 0;
+
+      if (index === -1) {
+        return;
       }
 
-      // Use the same translate endpoint with auto detection to get source language
-      const params = new URLSearchParams({
-        'params.client': 'gtx',
-        'query.source_language': 'auto',
-        'query.target_language': 'en', // Use English as target for detection
-        'query.display_language': 'en',
-        'query.text': text,
-        'key': apiKey,
-        'data_types': 'TRANSLATION'
-      });
+      const [entry] = this.queue.splice(index, 1);
+      this.running.add(entry);
 
-      const url = `${this.baseUrl}?${params.toString()}`;
+      Promise.resolve()
+        .then(() => entry.task(entry.controller.signal))
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.running.delete(entry);
+          this.runNext();
+        });
+    }
+  }
 
-      const options = {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-        }
-      };
+  createAbortError() {
+    const error = new Error('Translation cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
 
-      // Make API request
-      const data = await this.makeRequest(url, options);
+  // Cancel queued and running tasks of a tab, returns how many were cancelled.
+  // Writing translations are kept unless includeWriting is set.
+  cancel(tabId, { includeWriting = false } = {}) {
+    const matches = entry => entry.tabId === tabId &&
+      (includeWriting || entry.priority !== this.priorities.writing);
 
-      // Parse response to get detected source language
-      if (!data || !data.sourceLanguage) {
-        throw new Error('Invalid response from Google Translate API');
-      }
+    const queued = this.queue.filter(matches);
+    this.queue = this.queue.filter(entry => !matches(entry));
+    queued.forEach(entry => entry.reject(this.createAbortError()));
 
-      const result = {
-        language: data.sourceLanguage || (data.detectedLanguages && data.detectedLanguages.srclangs && data.detectedLanguages.srclangs[0]) || 'unknown',
-        confidence: 0.8, // Default confidence for new API
-        isReliable: true
-      };
+    const running = Array.from(this.running).filter(matches);
+    running.forEach(entry => entry.controller.abort());
 
-      console.log('Language detection successful:', {
-        text: text.substring(0, 50),
-        detectedLang: result.language,
-        confidence: result.confidence
-      });
+    if (queued.length + running.length > 0) {
+      console.log(`Cancelled ${queued.length} queued and ${running.length} running translations of tab ${tabId}`);
+    }
 
-      return result;
+    return queued.length + running.length;
+  }
 
-    } catch (error) {
-      console.error('Language detection error:', error);
-      throw error;
-    }
+  getStatus() {
+    return {
+      queued: this.queue.length,
+      running: this.running.size,
+      pausedUntil: this.isPaused() ? this.pausedUntil : null
+    };
   }
+}
 
-  // Check if translation is needed (avoid translating if source and target are the same)
-  async shouldTranslate(text, targetLang) {
-    try {
-      const detection = await this.detectLanguage(text);
+// Create global request scheduler instance
+const requestScheduler = new RequestScheduler();
 
-      // Don't translate if detected language is the same as target
-      if (detection.language === targetLang) {
-        return {
-          shouldTranslate: false,
-          reason: 'Source and target languages are the same',
-          detectedLang: detection.language
-        };
-      }
+// Closed tabs don't need their translations anymore
+chrome.tabs.onRemoved.addListener((tabId) => {
+  requestScheduler.cancel(tabId, { includeWriting: true });
+});
 
-      // Don't translate if confidence is too low
-      if (detection.confidence < 0.3) {
-        return {
-          shouldTranslate: false,
-          reason: 'Language detection confidence too low',
-          detectedLang: detection.language,
-          confidence: detection.confidence
-        };
-      }
+// Pause the queue while a provider is rate limited and let Discord tabs show it
+translationService.rateLimiter.onChange((status) => {
+  if (status.throttled) {
+    requestScheduler.pause(status.resumeAt);
+  }
 
-      return {
-        shouldTranslate: true,
-        detectedLang: detection.language,
-        confidence: detection.confidence
-      };
+  broadcastToDiscordTabs({
+    action: 'rateLimitStatus',
+    ...status
+  });
+});
 
-    } catch (error) {
-      // If detection fails, assume translation is needed
-      console.warn('Language detection failed, proceeding with translation:', error.message);
-      return {
-        shouldTranslate: true,
-        reason: 'Language detection failed',
-        error: error.message
-      };
-    }
+// Send a message to the content script of every open Discord tab
+async function broadcastToDiscordTabs(message) {
+  try {
+    const tabs = await chrome.tabs.query({ url: 'https://discord.com/*' });
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {
+        // Tab has no content script (yet)
+      });
+    });
+  } catch (error) {
+    console.error('Error broadcasting to Discord tabs:', error);
   }
 }
 
-// Create global translation service instance
-const translationService = new TranslationService();
+// Scheduling options of a translate message, writing always goes first
+function getRequestSchedule(request, sender) {
+  return {
+    priority: request.purpose === 'writing' ? 'writing' : request.priority,
+    tabId: sender.tab ? sender.tab.id : null
+  };
+}
 
 // Handle translation requests
-async function handleTranslationRequest(request, sendResponse) {
+async function handleTranslationRequest(request, sender, sendResponse) {
   try {
     console.log('Translation request:', {
       text: request.text?.substring(0, 50),
       targetLang: request.targetLang,
-      sourceLang: request.sourceLang
+      sourceLang: request.sourceLang,
+      purpose: request.purpose
     });
 
     // Validate request
@@ -566,9 +3535,9 @@ async function handleTranslationRequest(request, sendResponse) {
       throw new Error('Target language is required');
     }
 
-    // Check if translation is needed (optional optimization)
+    // Skip text that is already in the target language without a network request
     if (request.checkIfNeeded !== false) {
-      const shouldTranslate = await translationService.shouldTranslate(request.text, request.targetLang);
+      const shouldTranslate = translationService.shouldTranslate(request.text, request.targetLang);
 
       if (!shouldTranslate.shouldTranslate) {
         console.log('Translation skipped:', shouldTranslate.reason);
@@ -585,12 +3554,21 @@ async function handleTranslationRequest(request, sendResponse) {
       }
     }
 
-    // Perform translation
-    const result = await translationService.translateText(
+    // Perform translation, the provider's detected source catches what local detection missed
+    const result = await requestScheduler.schedule(signal => translationService.translateText(
       request.text,
       request.targetLang,
-      request.sourceLang
-    );
+      request.sourceLang,
+      {
+        purpose: request.purpose,
+        skipSameLanguage: request.checkIfNeeded !== false,
+        signal: signal
+      }
+    ), getRequestSchedule(request, sender));
+
+    if (result.skipped) {
+      console.log('Translation skipped:', result.reason);
+    }
 
     sendResponse({
       success: true,
@@ -601,13 +3579,104 @@ async function handleTranslationRequest(request, sendResponse) {
     console.error('Translation error:', error);
     sendResponse({
       success: false,
+      cancelled: error.name === 'AbortError',
+      rateLimited: Boolean(error.rateLimited),
+      retryAfter: error.retryAfter,
+      error: error.message
+    });
+  }
+}
+
+// Handle batched translation requests, answers with one result per text
+async function handleTranslateBatchRequest(request, sender, sendResponse) {
+  try {
+    console.log('Batch translation request:', {
+      texts: Array.isArray(request.texts) ? request.texts.length : 0,
+      targetLang: request.targetLang,
+      purpose: request.purpose
+    });
+
+    // Validate request
+    if (!Array.isArray(request.texts) || request.texts.length === 0) {
+      throw new Error('Texts are required for batch translation');
+    }
+
+    if (!request.targetLang) {
+      throw new Error('Target language is required');
+    }
+
+    const results = new Array(request.texts.length);
+    const pending = [];
+
+    request.texts.forEach((text, index) => {
+      if (!text || typeof text !== 'string' || !text.trim()) {
+        results[index] = {
+          success: false,
+          error: 'Text is required for translation'
+        };
+        return;
+      }
+
+      // Skip text that is already in the target language without a network request
+      if (request.checkIfNeeded !== false) {
+        const shouldTranslate = translationService.shouldTranslate(text, request.targetLang);
+
+        if (!shouldTranslate.shouldTranslate) {
+          results[index] = {
+            success: true,
+            skipped: true,
+            reason: shouldTranslate.reason,
+            originalText: text,
+            translatedText: text,
+            sourceLang: shouldTranslate.detectedLang,
+            targetLang: request.targetLang
+          };
+          return;
+        }
+      }
+
+      pending.push(index);
+    });
+
+    if (pending.length > 0) {
+      const translations = await requestScheduler.schedule(signal => translationService.translateBatch(
+        pending.map(index => request.texts[index]),
+        request.targetLang,
+        request.sourceLang,
+        {
+          purpose: request.purpose,
+          skipSameLanguage: request.checkIfNeeded !== false,
+          signal: signal
+        }
+      ), getRequestSchedule(request, sender));
+
+      pending.forEach((index, position) => {
+        results[index] = {
+          success: true,
+          ...translations[position]
+        };
+      });
+    }
+
+    sendResponse({
+      success: true,
+      results: results
+    });
+
+  } catch (error) {
+    console.error('Batch translation error:', error);
+    sendResponse({
+      success: false,
+      cancelled: error.name === 'AbortError',
+      rateLimited: Boolean(error.rateLimited),
+      retryAfter: error.retryAfter,
       error: error.message
     });
   }
 }
 
 // Handle settings retrieval
-async function handleGetSettings(sendResponse) {
+async function handleGetSettings(request, sendResponse) {
   console.log('handleGetSettings called');
   try {
     console.log('Getting settings from settingsManager...');
@@ -618,6 +3687,15 @@ async function handleGetSettings(sendResponse) {
       success: true,
       settings: settings
     };
+
+    // Pages on Discord get the settings of their channel
+    if (request.url) {
+      const channel = settingsManager.parseChannelUrl(request.url);
+      const channelRule = settingsManager.findChannelRule(settings, channel);
+      response.settings = settingsManager.applyChannelRule(settings, channelRule);
+      response.channel = channel;
+      response.channelRule = channelRule;
+    }
     console.log('Sending response:', response);
     sendResponse(response);
   } catch (error) {
@@ -631,10 +3709,38 @@ async function handleGetSettings(sendResponse) {
   }
 }
 
-// Handle settings save
+// Handle the quick channel rule of the popup
+async function handleSetChannelRule(request, sendResponse) {
+  try {
+    const channel = settingsManager.parseChannelUrl(request.url);
+    if (!channel) {
+      throw new Error('Not a Discord channel');
+    }
+
+    const settings = await settingsManager.setChannelRule(channel, request.rule || {});
+    sendResponse({
+      success: true,
+      settings: settings,
+      channelRule: settingsManager.findChannelRule(settings, channel)
+    });
+  } catch (error) {
+    console.error('Error setting channel rule:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle settings save, cached translations were made with the old provider settings
+// (DeepL formality, model and prompt of the OpenAI compatible API)
 async function handleSaveSettings(settings, sendResponse) {
   try {
+    const previous = JSON.stringify((await settingsManager.getSettings()).providerSettings);
     const savedSettings = await settingsManager.saveSettings(settings);
+    if (JSON.stringify(savedSettings.providerSettings) !== previous) {
+      await translationCache.clear();
+    }
     sendResponse({
       success: true,
       settings: savedSettings
@@ -665,6 +3771,223 @@ async function handleResetSettings(sendResponse) {
   }
 }
 
+// Handle provider list requests
+async function handleGetProviders(sendResponse) {
+  try {
+    const providers = translationService.providers.list();
+    sendResponse({
+      success: true,
+      providers: providers
+    });
+  } catch (error) {
+    console.error('Error getting providers:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// API keys are only handed out to the extension's own pages, never to content scripts
+function isExtensionPage(sender) {
+  return Boolean(sender && sender.url && sender.url.startsWith(chrome.runtime.getURL('')));
+}
+
+// Handle API key retrieval for the options page
+async function handleGetApiKeys(sendResponse) {
+  try {
+    const status = await apiKeyStore.getStatus();
+    const keys = status.locked ? {} : await apiKeyStore.getKeys();
+    sendResponse({
+      success: true,
+      keys: keys,
+      ...status
+    });
+  } catch (error) {
+    console.error('Error getting API keys:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle API key save
+async function handleSaveApiKeys(request, sendResponse) {
+  try {
+    await apiKeyStore.saveKeys(request.keys, {
+      encrypt: Boolean(request.encrypt),
+      passphrase: request.passphrase || ''
+    });
+    sendResponse({
+      success: true,
+      ...(await apiKeyStore.getStatus())
+    });
+  } catch (error) {
+    console.error('Error saving API keys:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle unlocking encrypted API keys
+async function handleUnlockApiKeys(request, sendResponse) {
+  try {
+    if (!request.passphrase) {
+      throw new Error('Passphrase is required');
+    }
+
+    await apiKeyStore.unlock(request.passphrase);
+    sendResponse({
+      success: true,
+      ...(await apiKeyStore.getStatus())
+    });
+  } catch (error) {
+    console.error('Error unlocking API keys:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle locking encrypted API keys
+async function handleLockApiKeys(sendResponse) {
+  try {
+    await apiKeyStore.lock();
+    sendResponse({
+      success: true,
+      ...(await apiKeyStore.getStatus())
+    });
+  } catch (error) {
+    console.error('Error locking API keys:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle provider connection tests from the options page
+async function handleTestProviderConnection(request, sendResponse) {
+  try {
+    const provider = translationService.providers.get(request.provider);
+    if (!provider) {
+      throw new Error('Unknown translation provider');
+    }
+
+    const config = request.config || {};
+    const errors = provider.validateConfig(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const result = await provider.testConnection(config);
+    sendResponse({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Provider connection test failed:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle translation cache statistics requests
+async function handleGetCacheStats(sendResponse) {
+  try {
+    const stats = await translationCache.getStats();
+    sendResponse({
+      success: true,
+      stats: stats
+    });
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle translation cache clear requests
+async function handleClearCache(sendResponse) {
+  try {
+    await translationCache.clear();
+    sendResponse({
+      success: true,
+      stats: await translationCache.getStats()
+    });
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle corrected translations from the edit action on translated messages
+async function handleSaveTranslationMemory(request, sendResponse) {
+  try {
+    await translationMemory.add(
+      request.originalText?.trim(),
+      request.translatedText?.trim(),
+      request.sourceLang,
+      request.targetLang
+    );
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error saving translation memory entry:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle glossary requests
+async function handleGetGlossary(sendResponse) {
+  try {
+    sendResponse({
+      success: true,
+      glossary: await glossaryStore.getGlossary()
+    });
+  } catch (error) {
+    console.error('Error getting glossary:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Handle glossary save, cached translations were made with the old glossary
+async function handleSaveGlossary(request, sendResponse) {
+  try {
+    const previous = JSON.stringify(await glossaryStore.getGlossary());
+    const glossary = await glossaryStore.saveGlossary(request.glossary);
+    if (JSON.stringify(glossary) !== previous) {
+      await translationCache.clear();
+    }
+    sendResponse({
+      success: true,
+      glossary: glossary
+    });
+  } catch (error) {
+    console.error('Error saving glossary:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 // Handle language detection requests
 async function handleLanguageDetection(request, sendResponse) {
   try {
@@ -12,6 +12,364 @@ function debugLog(...args) {
   }
 }
 
+// Content classification
+// Decides which parts of a message are prose worth translating. Code, links,
+// emoji and numbers are left untouched so identifiers and commands stay intact.
+class ContentClassifier {
+  constructor() {
+    // Tool names are also used in chat ("git gud", "node is down again"), so a line
+    // only counts as a command with a $ prompt or real shell syntax: flags, paths, URLs,
+    // pipes or redirects
+    this.shellCommands = /^(sudo|npm|npx|yarn|pnpm|git|pip3?|python3?|node|deno|bun|docker|kubectl|apt|apt-get|brew|chmod|chown|curl|wget|ssh|scp|cargo|rustup|mkdir|systemctl|gcc|javac|dotnet|composer|cd|ls|rm|cp|mv|echo|cat|grep|find|make|go|export|touch|tail|head|kill)\s+\S/;
+    this.shellSyntax = /\s--?[a-zA-Z]|(^|\s)(\.{0,2}|~)\/\S|\s[a-z]+:\/\/\S|\s(\||&&|>>?)\s/;
+
+    this.stackTraceLines = [
+      /^at\s+[\w$.<>[\]]+.*(\(.*:\d+(:\d+)?\)|:\d+:\d+)$/,
+      /^Traceback \(most recent call last\):?$/,
+      /^File ".*", line \d+/,
+      /^([\w$]+\.)*[\w$]+(Error|Exception)(:\s|$)/,
+      /^Caused by: /
+    ];
+
+    // Statement openings, strict enough that English sentences starting with "if" or "for" don't match
+    this.codeStatements = [
+      /^(const|let|var)\s+[\w${[]+.*=/,
+      /^(async\s+)?(function|def|fn|func)\s*[\w$]*\s*\(/,
+      /^(export\s+)?(default\s+)?(class|interface|struct|enum)\s+[\w$]+.*[{:(]$/,
+      /^import\s+(\{|\*|[\w$]+\s+from\s|['"])/,
+      /^from\s+[\w.]+\s+import\s/,
+      /^#include\s*[<"]/,
+      /^(if|for|while|switch|catch)\s*\(.*\)\s*\{?$/,
+      /^(public|private|protected|static)\s+[\w<>[\]]+\s+[\w$]+/,
+      /^(package|using)\s+[\w.]+;$/
+    ];
+    this.codeSymbols = /[{}[\]();=<>_$\\|&]/g;
+    this.identifier = /^[\w$]+(\.[\w$]+)*(\(.*\))?;?$/;
+    this.url = /(https?:\/\/|www\.)\S+/g;
+    this.emoji = /:\w+:|\p{Extended_Pictographic}|\p{Regional_Indicator}|[‍️\u{1F3FB}-\u{1F3FF}]/gu;
+    this.numeric = /^[\d\s.,:;+\-*/%()=<>#$€£¥^x×÷~]+$/;
+  }
+
+  // Classify a whole message: 'prose', 'code', 'url', 'emoji', 'numeric', 'command' or 'empty'.
+  // Messages with at least one prose line count as prose, their other lines are skipped later.
+  classify(text) {
+    const trimmed = (text || '').trim();
+
+    if (trimmed.length < 2) {
+      return 'empty';
+    }
+    if (trimmed.startsWith('/')) {
+      return 'command';
+    }
+    if (trimmed.startsWith('```') || this.isJson(trimmed)) {
+      return 'code';
+    }
+
+    const kinds = trimmed.split('\n')
+      .map(line => this.classifyLine(line))
+      .filter(kind => kind !== 'empty');
+
+    if (kinds.includes('prose')) {
+      return 'prose';
+    }
+    return kinds.includes('code') ? 'code' : kinds[0];
+  }
+
+  classifyLine(line) {
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      return 'empty';
+    }
+    if (!trimmed.replace(this.url, '').replace(/[\s<>()[\].,;!?]/g, '')) {
+      return 'url';
+    }
+    if (!trimmed.replace(this.emoji, '').replace(/\s/g, '')) {
+      return 'emoji';
+    }
+    if (this.numeric.test(trimmed) && /\d/.test(trimmed)) {
+      return 'numeric';
+    }
+    if (this.isCodeLine(trimmed)) {
+      return 'code';
+    }
+    return 'prose';
+  }
+
+  isCodeLine(line) {
+    const hasPrompt = /^\$\s+/.test(line);
+    const withoutPrompt = line.replace(/^(\$|>)\s+/, '');
+
+    if (this.shellCommands.test(withoutPrompt) && (hasPrompt || this.shellSyntax.test(withoutPrompt))) {
+      return true;
+    }
+    if (this.stackTraceLines.some(pattern => pattern.test(line)) ||
+        this.codeStatements.some(pattern => pattern.test(line))) {
+      return true;
+    }
+
+    // Single identifiers such as getUserById, user_id or config.get()
+    if (this.identifier.test(line) && /[a-z][A-Z]|_|\.|\(/.test(line)) {
+      return true;
+    }
+
+    // Statements end in ; or braces, or are dense with symbols prose rarely uses
+    if (/[;{]$|^[}\])]/.test(line)) {
+      return true;
+    }
+    const symbols = (line.match(this.codeSymbols) || []).length;
+    return symbols >= 3 && symbols / line.replace(/\s/g, '').length >= 0.15;
+  }
+
+  isJson(text) {
+    if (!/^[[{]/.test(text)) {
+      return false;
+    }
+    try {
+      JSON.parse(text);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Whether any part of the text is worth translating
+  hasProse(text) {
+    return this.classify(text) === 'prose';
+  }
+}
+
+// Translates the text runs of a message while keeping its rich content.
+// Mentions, links, emoji, code and timestamps become placeholder tokens like
+// ⟦0⟧, formatting such as bold or spoilers wraps its text in ⟦1⟧...⟦/1⟧.
+// Lines of code, links or numbers are kept as placeholders as well.
+// The original nodes are put back after translation so they stay clickable.
+class MessageContentTranslator {
+  constructor(classifier) {
+    this.classifier = classifier;
+    this.states = new WeakMap();
+    this.tokenPattern = /⟦(\/?)(\d+)⟧/g;
+
+    // Kept as they are, never sent for translation
+    this.atomicSelector = [
+      '[class*="mention"]',
+      '[class*="emoji"]',
+      '[class*="timestamp"]',
+      'img',
+      '[class*="username"]',
+      'code',
+      'pre',
+      'svg'
+    ].join(', ');
+  }
+
+  // Serialize the child nodes of a content element into text with placeholders
+  prepare(element) {
+    if (this.states.get(element)?.applied) {
+      this.restore(element);
+    }
+
+    const nodes = [];
+    const text = this.serializeChildren(element, nodes);
+
+    this.states.set(element, {
+      originalNodes: Array.from(element.childNodes),
+      nodes: nodes,
+      markers: new Map(),
+      applied: false
+    });
+
+    return {
+      text: text,
+      hasText: this.classifier.hasProse(this.stripTokens(text))
+    };
+  }
+
+  serializeChildren(parent, nodes) {
+    let text = '';
+
+    parent.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.textContent
+          .replace(/[⟦⟧]/g, '')
+          .split('\n')
+          .map(line => this.serializeLine(line, nodes))
+          .join('\n');
+        return;
+      }
+
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+
+      if (child.tagName === 'BR') {
+        text += '\n';
+        return;
+      }
+
+      const index = nodes.length;
+
+      if (this.isAtomic(child)) {
+        nodes.push({ type: 'atomic', node: child });
+        text += `⟦${index}⟧`;
+        return;
+      }
+
+      // Formatting keeps its element, only the text inside is translated
+      nodes.push({ type: 'wrapper', node: child });
+      text += `⟦${index}⟧${this.serializeChildren(child, nodes)}⟦/${index}⟧`;
+    });
+
+    return text;
+  }
+
+  // Lines of code, links or numbers inside a text run are kept verbatim
+  serializeLine(line, nodes) {
+    const kind = this.classifier.classifyLine(line);
+    if (kind === 'prose' || kind === 'empty') {
+      return line;
+    }
+
+    const index = nodes.length;
+    nodes.push({ type: 'literal', text: line });
+    return `⟦${index}⟧`;
+  }
+
+  isAtomic(element) {
+    if (element.matches(this.atomicSelector) || !element.textContent.trim()) {
+      return true;
+    }
+
+    // Bare links show the address itself, links with a label get it translated
+    if (element.tagName === 'A') {
+      const label = element.textContent.trim();
+      return label === element.href || /^(https?:\/\/|www\.)\S+$/.test(label);
+    }
+
+    return false;
+  }
+
+  stripTokens(text) {
+    return text.replace(this.tokenPattern, ' ');
+  }
+
+  // Replace the content with the translated text, placeholders are swapped back for their nodes
+  apply(element, translatedText) {
+    const state = this.states.get(element);
+    if (!state) {
+      element.textContent = this.stripTokens(translatedText);
+      return;
+    }
+
+    element.replaceChildren(this.buildFragment(state, translatedText, index => this.takeNode(state, index)));
+    state.applied = true;
+  }
+
+  // Build the translation as a separate fragment, the original content stays untouched.
+  // Mentions and emoji are copies, links keep working through their address.
+  render(element, translatedText) {
+    const state = this.states.get(element);
+    if (!state) {
+      const fragment = document.createDocumentFragment();
+      fragment.appendChild(document.createTextNode(this.stripTokens(translatedText)));
+      return fragment;
+    }
+
+    return this.buildFragment(state, translatedText, index => state.nodes[index].node.cloneNode(true));
+  }
+
+  buildFragment(state, translatedText, getNode) {
+    const fragment = document.createDocumentFragment();
+    const stack = [fragment];
+    const openIndexes = [];
+    const placed = new Set();
+    let lastIndex = 0;
+    let match;
+
+    const appendText = (value) => {
+      if (value) {
+        stack[stack.length - 1].appendChild(document.createTextNode(value));
+      }
+    };
+
+    this.tokenPattern.lastIndex = 0;
+    while ((match = this.tokenPattern.exec(translatedText)) !== null) {
+      appendText(translatedText.slice(lastIndex, match.index));
+      lastIndex = this.tokenPattern.lastIndex;
+
+      const isClosing = match[1] === '/';
+      const index = Number(match[2]);
+      const entry = state.nodes[index];
+
+      if (!entry || (entry.type !== 'wrapper' && (isClosing || placed.has(index)))) {
+        continue;
+      }
+
+      if (entry.type === 'literal') {
+        placed.add(index);
+        appendText(entry.text);
+      } else if (entry.type === 'atomic') {
+        placed.add(index);
+        stack[stack.length - 1].appendChild(getNode(index));
+      } else if (isClosing) {
+        // Close up to the matching wrapper, stray closing tokens are dropped
+        const position = openIndexes.lastIndexOf(index);
+        if (position !== -1) {
+          openIndexes.splice(position);
+          stack.splice(position + 1);
+        }
+      } else {
+        const wrapper = entry.node.cloneNode(false);
+        stack[stack.length - 1].appendChild(wrapper);
+        stack.push(wrapper);
+        openIndexes.push(index);
+      }
+    }
+    appendText(translatedText.slice(lastIndex));
+
+    // Providers occasionally drop a placeholder, nothing of the message may get lost
+    state.nodes.forEach((entry, index) => {
+      if (entry.type !== 'wrapper' && !placed.has(index)) {
+        fragment.appendChild(document.createTextNode(' '));
+        fragment.appendChild(entry.type === 'literal'
+          ? document.createTextNode(entry.text)
+          : getNode(index));
+      }
+    });
+
+    return fragment;
+  }
+
+  // Move an original node into the translation, a marker keeps its place for restoring
+  takeNode(state, index) {
+    const node = state.nodes[index].node;
+    if (!state.markers.has(index)) {
+      const marker = document.createComment('discord-translator-placeholder');
+      node.replaceWith(marker);
+      state.markers.set(index, marker);
+    }
+    return node;
+  }
+
+  // Put the original nodes back, returns false when the element was never prepared
+  restore(element) {
+    const state = this.states.get(element);
+    if (!state) {
+      return false;
+    }
+
+    if (state.applied) {
+      state.markers.forEach((marker, index) => {
+        marker.replaceWith(state.nodes[index].node);
+      });
+      element.replaceChildren(...state.originalNodes);
+    }
+    this.states.delete(element);
+
+    return true;
+  }
+}
+
 // Main class for Discord translation functionality
 class DiscordTranslator {
   constructor() {
@@ -21,6 +379,45 @@ class DiscordTranslator {
     this.currentLoadingNotification = null;
     this.lastKnownLanguage = localStorage.getItem('discord-translator-language') || 'en';
 
+    // Auto mode translations are collected briefly and sent as one batch
+    this.pendingBatch = [];
+    this.batchTimer = null;
+    this.batchWindow = 50; // ms
+    this.maxBatchItems = 50;
+
+    // Rate limited providers shown in the status pill, by provider id
+    this.rateLimits = new Map();
+    this.rateLimitTimer = null;
+
+    // Rich message content is translated around mentions, links, emoji and code
+    this.contentClassifier = new ContentClassifier();
+    this.contentTranslator = new MessageContentTranslator(this.contentClassifier);
+
+    // Last translation per content element with the elements shown for it
+    this.translationResults = new WeakMap();
+
+    // Hover mode popover state
+    this.hoverTimer = null;
+    this.hoverTarget = null;
+    this.hoverTooltip = null;
+
+    // Selection translation chip or popover
+    this.selectionPopover = null;
+
+    // Signed in user, found in the account panel for author rules
+    this.ownUserId = null;
+
+    // Channel the settings were loaded for and its rule
+    this.settingsChannelPath = null;
+    this.channelRule = null;
+    this.channelRulesPromise = null;
+
+    // Last right-click, context menu translations are shown next to it
+    this.contextMenuTarget = null;
+    this.contextMenuRect = null;
+    this.contextMenuContent = null;
+    this.contextMenuPopover = null;
+
     this.init();
   }
 
@@ -33,6 +430,9 @@ class DiscordTranslator {
       await this.loadSettings();
       debugLog('Settings loaded:', this.settings);
 
+      // Show rate limits that started before this page loaded
+      this.loadRateLimitStatus();
+
       // Wait for Discord to load
       debugLog('About to call waitForDiscord()');
       this.waitForDiscord();
@@ -48,9 +448,12 @@ class DiscordTranslator {
     }
   }
 
+  // Settings of the current channel, channel rules of the options page are applied by the background
   async loadSettings() {
+    const channelPath = this.getChannelPath();
+
     return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+      chrome.runtime.sendMessage({ action: 'getSettings', url: location.href }, (response) => {
         if (chrome.runtime.lastError) {
           reject(chrome.runtime.lastError);
           return;
@@ -62,6 +465,8 @@ class DiscordTranslator {
         }
 
         this.settings = response.settings;
+        this.channelRule = response.channelRule || null;
+        this.settingsChannelPath = channelPath;
         debugLog('Settings loaded:', this.settings);
         resolve();
       });
@@ -80,30 +485,64 @@ class DiscordTranslator {
     }
   }
 
-  handleSettingsChange() {
-    // Clear any existing auto-translation processing flags if mode changed to non-auto
-    if (this.settings.readingMode !== 'auto') {
-      const processedMessages = document.querySelectorAll('[data-translator-auto-processed="true"]');
-      processedMessages.forEach(msg => {
-        delete msg.dataset.translatorAutoProcessed;
-      });
+  // Server and channel part of the current URL, e.g. /channels/<server>/<channel>
+  getChannelPath() {
+    const match = location.pathname.match(/^\/channels\/[^/]+\/\d+/);
+    return match ? match[0] : location.pathname;
+  }
+
+  // Another server or channel may have its own rule, reload the settings for it
+  applyChannelRules() {
+    if (!this.channelRulesPromise) {
+      const previousSettings = JSON.stringify(this.settings);
+      // Set right away, a failed load keeps the previous settings instead of retrying for every message
+      this.settingsChannelPath = this.getChannelPath();
+
+      this.channelRulesPromise = this.loadSettings()
+        .then(() => {
+          if (JSON.stringify(this.settings) !== previousSettings) {
+            debugLog('Channel rule changed the settings:', this.channelRule);
+            this.handleSettingsChange();
+          }
+        })
+        .catch(error => console.error('Error applying channel rules:', error))
+        .finally(() => {
+          this.channelRulesPromise = null;
+        });
     }
 
+    return this.channelRulesPromise;
+  }
+
+  handleSettingsChange() {
+    // Clear processing flags, translations are restored below and existing messages
+    // are handled again with the new mode, language and display style
+    const processedMessages = document.querySelectorAll('[data-translator-auto-processed="true"]');
+    processedMessages.forEach(msg => {
+      delete msg.dataset.translatorAutoProcessed;
+    });
+    document.querySelectorAll('[data-translator-processed="true"]').forEach(msg => {
+      delete msg.dataset.translatorProcessed;
+    });
+
     // Restore any translated messages to original text when switching modes - no visual cleanup needed
     const translatedMessages = document.querySelectorAll('[data-translator-translated="true"]');
     translatedMessages.forEach(messageContent => {
       if (messageContent.dataset.originalText) {
-        messageContent.textContent = messageContent.dataset.originalText;
+        this.restoreOriginalContent(messageContent);
         delete messageContent.dataset.translatorTranslated;
         delete messageContent.dataset.sourceLang;
         delete messageContent.dataset.targetLang;
       }
     });
 
-    // Clean up click translation setup if mode changed from click
-    if (this.settings.readingMode !== 'click') {
-      this.cleanupClickTranslation();
-    }
+    // Clean up click translation setup, buttons are added again below since
+    // the mode or the author rules may have changed
+    this.cleanupClickTranslation();
+
+    // Close popovers, hover mode or selection translation may have been switched off
+    this.hideHoverTranslation();
+    this.hideSelectionTranslation();
 
     // Remove any existing overlays when settings change
     const existingOverlays = document.querySelectorAll('.discord-translator-overlay');
@@ -113,19 +552,10 @@ class DiscordTranslator {
       }
     });
 
-    // If switched to auto mode, process existing messages
-    if (this.settings.readingMode === 'auto') {
-      setTimeout(() => {
-        this.processExistingMessages();
-      }, 500);
-    }
-
-    // If switched to click mode, setup click handlers for existing messages
-    if (this.settings.readingMode === 'click') {
-      setTimeout(() => {
-        this.setupClickTranslationForExistingMessages();
-      }, 500);
-    }
+    // Handle existing messages again, author rules may translate automatically in any mode
+    setTimeout(() => {
+      this.processExistingMessages();
+    }, 500);
   }
 
   waitForDiscord() {
@@ -165,6 +595,15 @@ class DiscordTranslator {
     this.setupKeyboardShortcuts();
     debugLog('setupKeyboardShortcuts() completed');
 
+    // Setup hover translation, it only reacts while the reading mode is hover
+    this.setupHoverTranslation();
+
+    // Setup translation of selected text
+    this.setupSelectionTranslation();
+
+    // Remember right-clicks for the context menu entries
+    this.setupContextMenuTranslation();
+
     // Handle Discord's SPA navigation
     this.handleDiscordNavigation();
 
@@ -213,6 +652,23 @@ class DiscordTranslator {
         'time[datetime]',
         '[id^="message-timestamp-"]'
       ],
+      // Embed parts of bot messages and link previews, each one is translated on its own
+      embedPart: [
+        '[class*="embedTitle"]',
+        '[class*="embedDescription"]',
+        '[class*="embedFieldName"]',
+        '[class*="embedFieldValue"]',
+        '[class*="embedFooterText"]'
+      ],
+      // Embed containers
+      embed: [
+        'article[class*="embed"]',
+        '[class*="embedFull"]'
+      ],
+      // Joins, pins, boosts and other messages written by Discord itself
+      systemMessage: [
+        '[class*="systemMessage"] [class*="content"]'
+      ],
       // Messages list container (the scrollable container that holds all messages)
       messagesContainer: [
         '[class*="messages"]',
@@ -326,12 +782,14 @@ class DiscordTranslator {
   }
 
   isValidMessageElement(element) {
-    // Check if element contains actual message content
-    const hasContent = this.messageSelectors.messageContent.some(selector =>
-      element.querySelector(selector)
-    );
-
-    // Check if it's not a system message or empty
+    // Check if element contains actual message content, embeds or a system message
+    const hasContent = [
+      ...this.messageSelectors.messageContent,
+      ...this.messageSelectors.embedPart,
+      ...this.messageSelectors.systemMessage
+    ].some(selector => element.querySelector(selector));
+
+    // Check if it's not empty
     const textContent = element.textContent?.trim();
     const isNotEmpty = textContent && textContent.length > 0;
 
@@ -374,6 +832,45 @@ class DiscordTranslator {
     messageElements.forEach(messageEl => {
       this.triggerMessageEvent(messageEl, 'new');
     });
+
+    if (messageElements.length === 0) {
+      this.processLateEmbeds(element);
+    }
+  }
+
+  // Link previews and bot embeds often render after their message was processed
+  processLateEmbeds(element) {
+    if (!this.settings || this.settings.translateEmbeds === false) {
+      return;
+    }
+
+    const embedSelector = this.messageSelectors.embed.join(', ');
+    if (!element.matches(embedSelector) && !element.querySelector(embedSelector)) {
+      return;
+    }
+
+    const messageElement = element.closest('[data-translator-processed="true"]');
+    if (!messageElement) {
+      return;
+    }
+
+    const embedContents = this.findEmbedContents(messageElement)
+      .filter(content => content.element.closest(embedSelector) && element.contains(content.element));
+    if (embedContents.length === 0) {
+      return;
+    }
+
+    const messageData = this.extractMessageData(messageElement);
+    if (!messageData) {
+      return;
+    }
+
+    const readingMode = this.applyAuthorRule(messageData);
+    if (readingMode === 'auto') {
+      this.handleAutoTranslationForAllContents(messageElement, messageData, embedContents);
+    } else if (readingMode === 'click') {
+      this.setupClickTranslationForAllContents(messageElement, messageData, embedContents);
+    }
   }
 
   triggerMessageEvent(messageElement, eventType = 'new') {
@@ -430,6 +927,11 @@ class DiscordTranslator {
       }
     }
 
+    // Bot messages, link previews and system messages may have no content of their own
+    if (!messageText) {
+      messageText = this.findEmbedContents(messageElement).map(content => content.text).join('\n');
+    }
+
     // Fallback: get text from the message element itself, but exclude buttons and other UI elements
     if (!messageText) {
       // Clone the element to avoid modifying the original
@@ -462,13 +964,8 @@ class DiscordTranslator {
       messageId = `msg_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
     }
 
-    // Try to find author information using updated selectors
-    let authorElement = null;
-    for (const selector of this.messageSelectors.username) {
-      authorElement = messageElement.querySelector(selector);
-      if (authorElement) break;
-    }
-    const author = authorElement?.textContent?.trim() || 'Unknown';
+    // Author of the message, follow-up messages take it from the head of their group
+    const author = this.resolveMessageAuthor(messageElement);
 
     // Try to find timestamp using updated selectors
     let timestampElement = null;
@@ -484,7 +981,9 @@ class DiscordTranslator {
     return {
       id: messageId,
       text: messageText,
-      author: author,
+      author: author.name,
+      authorId: author.id,
+      authorIsBot: author.isBot,
       timestamp: timestamp,
       element: messageElement,
       textElement: textElement
@@ -498,16 +997,33 @@ class DiscordTranslator {
       return;
     }
 
+    // Moved to another channel, wait for its settings
+    if (this.channelRulesPromise || this.getChannelPath() !== this.settingsChannelPath) {
+      this.applyChannelRules().then(() => this.handleDetectedMessage(messageElement, messageData, eventType));
+      return;
+    }
+
     debugLog('Handling detected message with mode:', this.settings.readingMode);
 
-    // Skip if message is too short or looks like a command
-    if (messageData.text.length < 2 || messageData.text.startsWith('/')) {
-      debugLog('Skipping message - too short or command:', messageData.text);
+    // Skip messages without prose: too short, commands, code, links, emoji or numbers.
+    // Embeds count on their own, a bare link can come with a preview worth translating.
+    const contentType = this.contentClassifier.classify(messageData.text);
+    const hasProseEmbed = contentType !== 'prose' && this.findEmbedContents(messageElement)
+      .some(content => this.contentClassifier.classify(content.text) === 'prose');
+    if (contentType !== 'prose' && !hasProseEmbed) {
+      debugLog(`Skipping message - ${contentType} content:`, messageData.text);
+      return;
+    }
+
+    // Author rules may skip the message, translate it in any mode or to another language
+    const readingMode = this.applyAuthorRule(messageData);
+    if (!readingMode) {
+      debugLog('Skipping message - author rule or translation off:', messageData.author);
       return;
     }
 
     // Process based on reading mode
-    switch (this.settings.readingMode) {
+    switch (readingMode) {
       case 'auto':
         debugLog('Processing in auto mode');
         // Auto translation mode - implement automatic translation
@@ -520,161 +1036,1206 @@ class DiscordTranslator {
         this.setupClickTranslation(messageElement, messageData);
         break;
 
-      default:
-        debugLog('Translation disabled or unknown mode:', this.settings.readingMode);
-    }
+      case 'hover':
+        // Hover translation mode - the document level mouseover listener handles it,
+        // nothing is added to the message
+        break;
+
+      default:
+        debugLog('Translation disabled or unknown mode:', readingMode);
+    }
+  }
+
+  // Author of a message with their Discord user ID when it can be found. Follow-up messages
+  // of a group have no header, the author is taken from the group head above them.
+  resolveMessageAuthor(messageElement) {
+    const usernameSelector = this.messageSelectors.username.join(', ');
+
+    let head = messageElement.closest('li') || messageElement;
+    for (let steps = 0; head && steps < 50 && !this.queryOutsideReply(head, usernameSelector); steps++) {
+      head = head.previousElementSibling;
+    }
+
+    if (!head) {
+      return { id: null, name: 'Unknown', isBot: false };
+    }
+
+    const usernameElement = this.queryOutsideReply(head, usernameSelector);
+    const name = usernameElement?.textContent?.trim() || 'Unknown';
+
+    // Stable IDs from data attributes, otherwise from the avatar URL (default avatars have none)
+    let id = null;
+    const idElement = this.queryOutsideReply(head, '[data-author-id], [data-user-id]');
+    if (idElement) {
+      id = idElement.dataset.authorId || idElement.dataset.userId;
+    } else {
+      const avatar = this.queryOutsideReply(head, 'img[src*="/avatars/"]');
+      const match = avatar && avatar.src.match(/\/avatars\/(\d+)\//);
+      id = match ? match[1] : null;
+    }
+
+    return {
+      id: id,
+      name: name,
+      isBot: Boolean(this.queryOutsideReply(head, '[class*="botTag"]'))
+    };
+  }
+
+  // First match that is not part of a reply preview, those show the replied message's author
+  queryOutsideReply(element, selector) {
+    return Array.from(element.querySelectorAll(selector))
+      .find(found => !found.closest('[class*="repliedMessage"], [class*="repliedTextPreview"]')) || null;
+  }
+
+  // The signed in user, from the avatar in the account panel
+  getOwnUserId() {
+    if (!this.ownUserId) {
+      const avatar = document.querySelector('[class*="panels"] img[src*="/avatars/"], [class*="accountProfile"] img[src*="/avatars/"]');
+      const match = avatar && avatar.src.match(/\/avatars\/(\d+)\//);
+      this.ownUserId = match ? match[1] : null;
+    }
+    return this.ownUserId;
+  }
+
+  // Rule for the author of a message. Bots and own messages are skipped when enabled in the
+  // options, a rule for that bot or user ID comes first.
+  getAuthorRule(messageData) {
+    const rule = messageData.authorId &&
+      (this.settings.authorRules || []).find(candidate => candidate.userId === messageData.authorId);
+    if (rule) {
+      return rule;
+    }
+
+    if (this.settings.skipBotMessages && messageData.authorIsBot) {
+      return { userId: messageData.authorId, action: 'never' };
+    }
+
+    if (this.settings.skipOwnMessages && messageData.authorId && messageData.authorId === this.getOwnUserId()) {
+      return { userId: messageData.authorId, action: 'never' };
+    }
+
+    return null;
+  }
+
+  // Reading mode for a message after its author's rule, null when it is not translated.
+  // Sets the target language of the message, "translate to" rules change it.
+  applyAuthorRule(messageData) {
+    const rule = this.getAuthorRule(messageData);
+
+    if (rule && rule.action === 'never') {
+      return null;
+    }
+
+    messageData.readingTargetLang = rule && rule.action === 'translateTo'
+      ? rule.targetLang
+      : this.settings.readingTargetLang;
+
+    // A server or channel turned off wins over "always" rules, those only lift the reading mode
+    if (this.settings.readingMode === 'off') {
+      return null;
+    }
+
+    return rule && rule.action === 'always' ? 'auto' : this.settings.readingMode;
+  }
+
+  async handleAutoTranslation(messageElement, messageData) {
+    try {
+      debugLog('Processing auto translation for message:', messageData.id);
+
+      // Check if already translated
+      if (messageElement.dataset.translatorAutoProcessed) {
+        debugLog('Message already auto-translated, skipping');
+        return;
+      }
+
+      // Mark as being processed
+      messageElement.dataset.translatorAutoProcessed = 'true';
+
+      // Handle multiple message contents in reply containers
+      await this.handleAutoTranslationForAllContents(messageElement, messageData);
+
+    } catch (error) {
+      console.error('Error in auto translation:', error);
+    }
+  }
+
+  async handleAutoTranslationForAllContents(messageElement, messageData, messageContents = this.findAllMessageContents(messageElement)) {
+
+    debugLog(`Processing auto translation for ${messageContents.length} contents`);
+
+    // Contents are translated in parallel so they end up in the same batch
+    const translations = messageContents.map((contentInfo, index) => {
+      const { element: contentElement, text: contentText, type } = contentInfo;
+
+      // Slash commands typed by users are skipped, the output of bots is translated
+      if (this.contentClassifier.classify(contentText) === 'prose') {
+        // Create unique message data for each content
+        const contentMessageData = {
+          ...messageData,
+          id: `${messageData.id}_${type}_${index}`,
+          text: contentText,
+          textElement: contentElement,
+          type: type
+        };
+
+        debugLog(`Processing auto translation for ${type} content:`, contentMessageData.id);
+        return this.processAutoTranslationForContent(messageElement, contentMessageData, contentElement);
+      }
+
+      return null;
+    });
+
+    await Promise.all(translations);
+  }
+
+  async processAutoTranslationForContent(messageElement, messageData, contentElement) {
+    try {
+      // Check if already translated
+      if (contentElement.dataset.translatorTranslated) {
+        debugLog('Content already translated, skipping:', messageData.id);
+        return;
+      }
+
+      // Store original text
+      if (!contentElement.dataset.originalText) {
+        contentElement.dataset.originalText = messageData.text;
+      }
+
+      // Only the text runs are translated, rich content stays in place as placeholders
+      const prepared = this.contentTranslator.prepare(contentElement);
+      if (!prepared.hasText) {
+        debugLog('No text to translate in content:', messageData.id);
+        return;
+      }
+
+      // Request translation from background script, batched with other auto translations.
+      // Messages on screen are translated before older ones further up.
+      const translationResult = await this.requestBatchedTranslation(
+        prepared.text,
+        messageData.readingTargetLang || this.settings.readingTargetLang,
+        this.isElementInViewport(contentElement) ? 'visible' : 'backfill'
+      );
+
+      if (translationResult.cancelled || translationResult.rateLimited) {
+        // Cancelled after a channel switch or rate limited, allow a new attempt
+        // if the message shows up again
+        delete messageElement.dataset.translatorAutoProcessed;
+        debugLog('Translation not completed for content:', messageData.id, translationResult.error);
+        return;
+      }
+
+      if (translationResult.success) {
+        if (translationResult.skipped) {
+          // Translation was skipped (same language, etc.)
+          debugLog('Translation skipped for content:', translationResult.reason);
+        } else {
+          // Replace message text with translation - no visual changes
+          this.showTranslation(contentElement, prepared.text, translationResult);
+
+          debugLog('Message text replaced with translation:', messageData.id);
+        }
+      } else {
+        // Show error in console only, don't modify the message
+        console.error('Translation error for message:', messageData.id, translationResult.error);
+      }
+
+    } catch (error) {
+      console.error('Error in auto translation for content:', error);
+    }
+  }
+
+
+
+  // Put the original message content back, plain text for contents translated before a reload
+  restoreOriginalContent(contentElement) {
+    // Bilingual translations never touched the original content
+    const bilingual = contentElement.dataset.translatorDisplay === 'bilingual';
+    if (!this.contentTranslator.restore(contentElement) && !bilingual) {
+      contentElement.textContent = contentElement.dataset.originalText;
+    }
+    delete contentElement.dataset.translatorDisplay;
+    this.removeTranslationViews(contentElement);
+  }
+
+  // Show a translation in place of the content, or beneath it in bilingual display,
+  // and offer to correct it
+  showTranslation(contentElement, originalText, translationResult) {
+    this.removeTranslationViews(contentElement);
+
+    const view = {
+      originalText: originalText,
+      translatedText: translationResult.translatedText,
+      sourceLang: translationResult.sourceLang,
+      targetLang: translationResult.targetLang,
+      bilingualBlock: null,
+      editButton: null,
+      editor: null
+    };
+
+    if (this.settings.displayStyle === 'bilingual' && !this.isEmbedPart(contentElement)) {
+      view.bilingualBlock = this.createBilingualBlock(contentElement, translationResult);
+      contentElement.insertAdjacentElement(
+        this.settings.bilingualOrder === 'translationFirst' ? 'beforebegin' : 'afterend',
+        view.bilingualBlock
+      );
+      contentElement.dataset.translatorDisplay = 'bilingual';
+    } else {
+      this.contentTranslator.apply(contentElement, translationResult.translatedText);
+    }
+
+    contentElement.dataset.translatorTranslated = 'true';
+    contentElement.dataset.sourceLang = translationResult.sourceLang;
+    contentElement.dataset.targetLang = translationResult.targetLang;
+    this.translationResults.set(contentElement, view);
+
+    // Reply previews jump to the replied message on click, they get no edit action.
+    // Embed parts neither, a button would end up inside the embed's grid.
+    if (!contentElement.closest('[class*="repliedTextPreview"], [class*="repliedMessage"]') && !this.isEmbedPart(contentElement)) {
+      this.addEditTranslationButton(contentElement, view, Boolean(translationResult.memoryMatch));
+    }
+  }
+
+  // Translation block shown next to the original, the header collapses and expands it
+  createBilingualBlock(contentElement, translationResult) {
+    const block = document.createElement('div');
+    block.className = 'discord-translator-bilingual';
+    block.style.cssText = `
+      margin: 4px 0;
+      padding: 6px 10px;
+      border-left: 3px solid #4752c4;
+      border-radius: 0 6px 6px 0;
+      background: rgba(71, 82, 196, 0.1);
+    `;
+
+    const header = document.createElement('div');
+    header.className = 'discord-translator-bilingual-header';
+    header.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      font-size: 12px;
+      color: #b9bbbe;
+      cursor: pointer;
+      user-select: none;
+    `;
+
+    const toggle = document.createElement('span');
+    const label = document.createElement('span');
+    label.textContent = `🌐 ${this.getLanguageName(translationResult.sourceLang || 'auto')} → ${this.getLanguageName(translationResult.targetLang)}`;
+    header.appendChild(toggle);
+    header.appendChild(label);
+
+    const body = document.createElement('div');
+    body.className = 'discord-translator-bilingual-text';
+    body.style.cssText = `
+      margin-top: 4px;
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    `;
+    body.appendChild(this.contentTranslator.render(contentElement, translationResult.translatedText));
+
+    const setCollapsed = (collapsed) => {
+      body.style.display = collapsed ? 'none' : 'block';
+      toggle.textContent = collapsed ? '▸' : '▾';
+    };
+    setCollapsed(Boolean(this.settings.bilingualCollapsed));
+
+    header.addEventListener('click', (event) => {
+      event.stopPropagation();
+      setCollapsed(body.style.display !== 'none');
+    });
+
+    block.appendChild(header);
+    block.appendChild(body);
+    return block;
+  }
+
+  // Small pencil next to a translation, visible while the message is hovered
+  addEditTranslationButton(contentElement, view, corrected) {
+    const currentLang = localStorage.getItem('discord-translator-language') || 'en';
+    let button = view.editButton;
+
+    if (!button) {
+      this.injectEditStyles();
+
+      button = document.createElement('button');
+      button.className = 'discord-translator-edit-button';
+      button.textContent = '✏️';
+      button.style.cssText = `
+        margin: 2px 0;
+        padding: 0 6px;
+        font-size: 12px;
+        line-height: 20px;
+        background: transparent;
+        border: 1px solid #4f545c;
+        border-radius: 4px;
+        cursor: pointer;
+      `;
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        event.preventDefault();
+        this.openTranslationEditor(contentElement);
+      });
+
+      if (view.bilingualBlock) {
+        button.style.marginLeft = 'auto';
+        view.bilingualBlock.firstElementChild.appendChild(button);
+      } else {
+        contentElement.insertAdjacentElement('afterend', button);
+      }
+      view.editButton = button;
+    }
+
+    if (currentLang === 'tr') {
+      button.title = corrected ? 'Düzeltilmiş çeviri, tekrar düzenle' : 'Çeviriyi düzenle';
+    } else {
+      button.title = corrected ? 'Corrected translation, edit again' : 'Edit translation';
+    }
+  }
+
+  injectEditStyles() {
+    if (document.querySelector('#discord-translator-edit-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'discord-translator-edit-styles';
+    style.textContent = `
+      .discord-translator-edit-button {
+        opacity: 0;
+        transition: opacity 0.2s ease;
+      }
+      li:hover .discord-translator-edit-button,
+      .discord-translator-edit-button:focus {
+        opacity: 1;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Inline editor for a translation, the correction is saved to the translation memory
+  openTranslationEditor(contentElement) {
+    const result = this.translationResults.get(contentElement);
+    if (!result || result.editor) {
+      return;
+    }
+
+    const currentLang = localStorage.getItem('discord-translator-language') || 'en';
+    const isTurkish = currentLang === 'tr';
+
+    const editor = document.createElement('div');
+    editor.className = 'discord-translator-editor';
+    editor.style.cssText = `
+      margin: 4px 0 8px;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      max-width: 600px;
+    `;
+    result.editor = editor;
+
+    const closeEditor = () => {
+      editor.remove();
+      result.editor = null;
+    };
+
+    const textarea = document.createElement('textarea');
+    textarea.value = result.translatedText;
+    textarea.rows = Math.min(8, result.translatedText.split('\n').length + 1);
+    textarea.style.cssText = `
+      width: 100%;
+      box-sizing: border-box;
+      padding: 8px;
+      font-family: inherit;
+      font-size: 14px;
+      color: #dcddde;
+      background: #202225;
+      border: 1px solid #4752c4;
+      border-radius: 6px;
+      resize: vertical;
+    `;
+    // Keep Discord's shortcuts from taking over while typing
+    textarea.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        closeEditor();
+      } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        save();
+      }
+    });
+    editor.appendChild(textarea);
+
+    if (/⟦\/?\d+⟧/.test(result.translatedText)) {
+      const hint = document.createElement('small');
+      hint.style.cssText = 'color: #b9bbbe; font-size: 12px;';
+      hint.textContent = isTurkish
+        ? '⟦0⟧ gibi işaretleri koruyun, bahsetmeler, bağlantılar ve emojiler için yer tutuculardır'
+        : 'Keep markers like ⟦0⟧, they hold the place of mentions, links and emoji';
+      editor.appendChild(hint);
+    }
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 6px;';
+
+    const createAction = (text, background) => {
+      const action = document.createElement('button');
+      action.textContent = text;
+      action.style.cssText = `
+        padding: 4px 12px;
+        font-size: 13px;
+        font-weight: 600;
+        color: #ffffff;
+        background: ${background};
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+      `;
+      actions.appendChild(action);
+      return action;
+    };
+
+    const saveButton = createAction(isTurkish ? 'Kaydet' : 'Save', '#43b581');
+    const cancelButton = createAction(isTurkish ? 'İptal' : 'Cancel', '#4f545c');
+
+    const save = () => {
+      const translatedText = textarea.value.trim();
+      if (!translatedText) {
+        return;
+      }
+
+      saveButton.disabled = true;
+      chrome.runtime.sendMessage({
+        action: 'saveTranslationMemory',
+        originalText: result.originalText,
+        translatedText: translatedText,
+        sourceLang: result.sourceLang,
+        targetLang: result.targetLang
+      }, (response) => {
+        saveButton.disabled = false;
+
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.error('Error saving corrected translation:', chrome.runtime.lastError || response?.error);
+          saveButton.textContent = '❌';
+          setTimeout(() => {
+            saveButton.textContent = isTurkish ? 'Kaydet' : 'Save';
+          }, 2000);
+          return;
+        }
+
+        closeEditor();
+        this.showTranslation(contentElement, result.originalText, {
+          translatedText: translatedText,
+          sourceLang: result.sourceLang,
+          targetLang: result.targetLang,
+          memoryMatch: 'exact'
+        });
+        debugLog('Corrected translation saved:', result.originalText.substring(0, 50));
+      });
+    };
+
+    saveButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      save();
+    });
+    cancelButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      closeEditor();
+    });
+
+    editor.appendChild(actions);
+    (result.bilingualBlock || result.editButton || contentElement).insertAdjacentElement('afterend', editor);
+    textarea.focus();
+  }
+
+  // Remove the bilingual block, edit button and editor of a content
+  removeTranslationViews(contentElement) {
+    const view = this.translationResults.get(contentElement);
+    if (!view) {
+      return;
+    }
+
+    [view.bilingualBlock, view.editButton, view.editor].forEach(element => {
+      if (element) {
+        element.remove();
+      }
+    });
+    this.translationResults.delete(contentElement);
+  }
+
+  isElementInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight;
+  }
+
+  // Queue a reading translation, the queue is sent as translateBatch requests
+  requestBatchedTranslation(text, targetLang, priority = 'visible') {
+    return new Promise((resolve) => {
+      this.pendingBatch.push({ text, targetLang, priority, resolve });
+
+      if (this.pendingBatch.length >= this.maxBatchItems) {
+        this.flushTranslationBatch();
+      } else if (!this.batchTimer) {
+        this.batchTimer = setTimeout(() => this.flushTranslationBatch(), this.batchWindow);
+      }
+    });
+  }
+
+  flushTranslationBatch() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+
+    const items = this.pendingBatch;
+    this.pendingBatch = [];
+
+    if (items.length === 0) {
+      return;
+    }
+
+    // One batch per target language and priority, the target language
+    // can change between queued items after a settings update
+    const groups = new Map();
+    items.forEach(item => {
+      const key = `${item.targetLang}|${item.priority}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(item);
+    });
+
+    groups.forEach((groupItems) => {
+      debugLog(`Sending ${groupItems[0].priority} translation batch of ${groupItems.length} texts`);
+
+      chrome.runtime.sendMessage({
+        action: 'translateBatch',
+        texts: groupItems.map(item => item.text),
+        targetLang: groupItems[0].targetLang,
+        sourceLang: 'auto',
+        purpose: 'reading',
+        priority: groupItems[0].priority,
+        checkIfNeeded: true // Skip text that is already in the target language
+      }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No response from background script';
+          groupItems.forEach(item => item.resolve({ success: false, error }));
+          return;
+        }
+
+        if (!response.success) {
+          groupItems.forEach(item => item.resolve({
+            success: false,
+            cancelled: response.cancelled,
+            rateLimited: response.rateLimited,
+            error: response.error
+          }));
+          return;
+        }
+
+        groupItems.forEach((item, index) => item.resolve(response.results[index]));
+      });
+    });
+  }
+
+  async requestTranslation(text, targetLang, sourceLang = 'auto', purpose = 'reading') {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        action: 'translate',
+        text: text,
+        targetLang: targetLang,
+        sourceLang: sourceLang,
+        purpose: purpose, // 'reading' for incoming messages, 'writing' for the message input
+        priority: purpose === 'writing' ? 'writing' : 'click',
+        checkIfNeeded: true // Skip text that is already in the target language
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+          return;
+        }
+
+        if (!response) {
+          reject(new Error('No response from background script'));
+          return;
+        }
+
+        resolve(response);
+      });
+    });
+  }
+
+  getLanguageName(langCode) {
+    const languageNames = {
+      'tr': 'Türkçe',
+      'en': 'English',
+      'es': 'Español',
+      'fr': 'Français',
+      'de': 'Deutsch',
+      'it': 'Italiano',
+      'pt': 'Português',
+      'ru': 'Русский',
+      'ja': '日本語',
+      'ko': '한국어',
+      'zh': '中文',
+      'ar': 'العربية',
+      'auto': 'Otomatik'
+    };
+
+    return languageNames[langCode] || langCode.toUpperCase();
+  }
+
+  setupSettingsListener() {
+    // Listen for storage changes to update settings in real-time
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'sync' && changes.settings) {
+        debugLog('Settings changed, reloading...');
+        this.reloadSettings();
+      }
+    });
+
+    // Also listen for messages from options page
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (request.action === 'settingsUpdated') {
+        debugLog('Settings updated message received');
+        this.reloadSettings();
+      } else if (request.action === 'rateLimitStatus') {
+        debugLog('Rate limit status received:', request);
+        this.updateRateLimitStatus(request);
+      } else if (request.action === 'getContextMenuMessage') {
+        sendResponse(this.getContextMenuMessage());
+      } else if (request.action === 'showContextMenuTranslation') {
+        this.showContextMenuTranslation(request);
+      }
+    });
+  }
+
+  loadRateLimitStatus() {
+    chrome.runtime.sendMessage({ action: 'getRateLimitStatus' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        return;
+      }
+
+      response.providers.forEach(status => this.updateRateLimitStatus(status));
+    });
+  }
+
+  updateRateLimitStatus(status) {
+    if (status.throttled) {
+      this.rateLimits.set(status.providerId, status);
+    } else {
+      this.rateLimits.delete(status.providerId);
+    }
+
+    this.renderRateLimitStatus();
+
+    if (this.rateLimits.size > 0 && !this.rateLimitTimer) {
+      this.rateLimitTimer = setInterval(() => this.renderRateLimitStatus(), 1000);
+    }
+  }
+
+  // Small pill with a countdown while translations are paused by a rate limit
+  renderRateLimitStatus() {
+    const now = Date.now();
+    for (const [providerId, status] of this.rateLimits.entries()) {
+      if (status.resumeAt <= now) {
+        this.rateLimits.delete(providerId);
+      }
+    }
+
+    let pill = document.querySelector('.discord-translator-rate-limit');
+
+    if (this.rateLimits.size === 0) {
+      clearInterval(this.rateLimitTimer);
+      this.rateLimitTimer = null;
+      if (pill) {
+        pill.remove();
+      }
+      return;
+    }
+
+    if (!pill) {
+      pill = document.createElement('div');
+      pill.className = 'discord-translator-rate-limit';
+      pill.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 70px;
+        background-color: #faa61a;
+        color: white;
+        padding: 8px 14px;
+        border-radius: 20px;
+        font-family: Whitney, "Helvetica Neue", Helvetica, Arial, sans-serif;
+        font-size: 13px;
+        font-weight: 500;
+        z-index: 10000;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      `;
+      document.body.appendChild(pill);
+    }
+
+    // Show the provider that resumes last
+    const status = Array.from(this.rateLimits.values()).sort((a, b) => b.resumeAt - a.resumeAt)[0];
+    const seconds = Math.ceil((status.resumeAt - now) / 1000);
+    const currentLang = localStorage.getItem('discord-translator-language') || 'en';
+
+    pill.textContent = currentLang === 'tr'
+      ? `⏳ ${status.providerName} hız sınırında, ${seconds} sn sonra devam edilecek`
+      : `⏳ ${status.providerName} rate limited, resuming in ${seconds}s`;
+  }
+
+  // Hover mode: resting on a message shows its translation in a popover.
+  // The popover lives in document.body, the message DOM is never changed.
+  setupHoverTranslation() {
+    document.addEventListener('mouseover', (event) => {
+      if (!this.settings || this.settings.readingMode !== 'hover' || !this.messageSelectors) {
+        return;
+      }
+
+      // Moving onto the popover keeps it open
+      if (this.hoverTooltip && this.hoverTooltip.contains(event.target)) {
+        return;
+      }
+
+      const messageElement = event.target.closest?.(this.messageSelectors.messageListItem.join(', '));
+      if (messageElement && messageElement === this.hoverTarget) {
+        return;
+      }
+
+      this.hideHoverTranslation();
+      if (!messageElement) {
+        return;
+      }
+
+      this.hoverTarget = messageElement;
+      this.hoverTimer = setTimeout(() => this.showHoverTranslation(messageElement), this.settings.hoverDelay || 600);
+    });
+
+    // A fixed popover would drift away from its message while scrolling
+    document.addEventListener('scroll', () => this.hideHoverTranslation(), true);
+  }
+
+  async showHoverTranslation(messageElement) {
+    const mainContent = this.findAllMessageContents(messageElement).find(content => content.type === 'main');
+    if (!mainContent || this.contentClassifier.classify(mainContent.text) !== 'prose') {
+      return;
+    }
+
+    // Authors that are never translated, and messages an "always" rule already translated
+    const messageData = this.extractMessageData(messageElement);
+    if (!messageData || !this.applyAuthorRule(messageData) || mainContent.element.dataset.translatorTranslated === 'true') {
+      return;
+    }
+
+    const contentElement = mainContent.element;
+    const prepared = this.contentTranslator.prepare(contentElement);
+    if (!prepared.hasText) {
+      return;
+    }
+
+    const currentLang = localStorage.getItem('discord-translator-language') || 'en';
+    const isTurkish = currentLang === 'tr';
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'discord-translator-hover';
+    tooltip.style.cssText = `
+      position: fixed;
+      max-width: 480px;
+      padding: 8px 12px;
+      background: #18191c;
+      color: #dcddde;
+      border-left: 3px solid #4752c4;
+      border-radius: 6px;
+      font-family: Whitney, "Helvetica Neue", Helvetica, Arial, sans-serif;
+      font-size: 14px;
+      line-height: 1.4;
+      white-space: pre-wrap;
+      word-wrap: break-word;
+      z-index: 10000;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+    `;
+    tooltip.textContent = '🔄';
+    document.body.appendChild(tooltip);
+    this.hoverTooltip = tooltip;
+    this.positionPopover(tooltip, contentElement.getBoundingClientRect());
+
+    try {
+      const translationResult = await this.requestTranslation(prepared.text, messageData.readingTargetLang);
+
+      // The pointer left the message while the translation was running
+      if (this.hoverTooltip !== tooltip) {
+        return;
+      }
+
+      if (translationResult.success && translationResult.skipped) {
+        tooltip.textContent = isTurkish ? '✓ Mesaj zaten hedef dilde' : '✓ Message is already in the target language';
+      } else if (translationResult.success) {
+        const label = document.createElement('div');
+        label.style.cssText = 'font-size: 12px; color: #b9bbbe; margin-bottom: 4px;';
+        label.textContent = `🌐 ${this.getLanguageName(translationResult.sourceLang || 'auto')} → ${this.getLanguageName(translationResult.targetLang)}`;
+
+        tooltip.replaceChildren(label, this.contentTranslator.render(contentElement, translationResult.translatedText));
+      } else if (translationResult.rateLimited) {
+        tooltip.textContent = isTurkish ? '⏳ Hız sınırı, birazdan tekrar deneyin' : '⏳ Rate limited, try again shortly';
+      } else {
+        tooltip.textContent = `❌ ${translationResult.error || (isTurkish ? 'Çeviri hatası' : 'Translation error')}`;
+      }
+
+      this.positionPopover(tooltip, contentElement.getBoundingClientRect());
+    } catch (error) {
+      console.error('Error in hover translation:', error);
+      if (this.hoverTooltip === tooltip) {
+        tooltip.textContent = `❌ ${isTurkish ? 'Çeviri hatası' : 'Translation error'}`;
+      }
+    }
+  }
+
+  // Show a popover below the given rectangle, or above it when there is no room
+  positionPopover(popover, rect) {
+    const popoverRect = popover.getBoundingClientRect();
+    const gap = 6;
+
+    let top = rect.bottom + gap;
+    if (top + popoverRect.height > window.innerHeight && rect.top - gap - popoverRect.height > 0) {
+      top = rect.top - gap - popoverRect.height;
+    }
+    const left = Math.max(8, Math.min(rect.left, window.innerWidth - popoverRect.width - 8));
+
+    popover.style.top = `${top}px`;
+    popover.style.left = `${left}px`;
+  }
+
+  hideHoverTranslation() {
+    clearTimeout(this.hoverTimer);
+    this.hoverTimer = null;
+    this.hoverTarget = null;
+
+    if (this.hoverTooltip) {
+      this.hoverTooltip.remove();
+      this.hoverTooltip = null;
+    }
+  }
+
+  // Selection translation: selecting text anywhere shows a small chip, clicking it
+  // translates the selection in a popover with copy and insert actions
+  setupSelectionTranslation() {
+    document.addEventListener('mouseup', (event) => {
+      if (this.selectionPopover && this.selectionPopover.contains(event.target)) {
+        return;
+      }
+      // Wait until the browser has updated the selection
+      setTimeout(() => this.handleTextSelection(), 0);
+    });
+
+    document.addEventListener('mousedown', (event) => {
+      if (!this.selectionPopover || !this.selectionPopover.contains(event.target)) {
+        this.hideSelectionTranslation();
+      }
+    });
+
+    document.addEventListener('scroll', () => this.hideSelectionTranslation(), true);
+  }
+
+  handleTextSelection() {
+    if (!this.settings || this.settings.selectionTranslation === false || this.selectionPopover) {
+      return;
+    }
+
+    const selection = window.getSelection();
+    const text = selection && !selection.isCollapsed ? selection.toString().trim() : '';
+    if (text.length < 2 || text.length > 5000) {
+      return;
+    }
+
+    // The message input has its own translate button
+    const node = selection.anchorNode;
+    const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    if (!element || element.closest('[contenteditable="true"], input, textarea, .discord-translator-editor')) {
+      return;
+    }
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    if (!rect.width && !rect.height) {
+      return;
+    }
+
+    const currentLang = localStorage.getItem('discord-translator-language') || 'en';
+    const chip = document.createElement('button');
+    chip.className = 'discord-translator-selection';
+    chip.textContent = currentLang === 'tr' ? '🌐 Çevir' : '🌐 Translate';
+    chip.style.cssText = `
+      position: fixed;
+      padding: 4px 10px;
+      font-family: Whitney, "Helvetica Neue", Helvetica, Arial, sans-serif;
+      font-size: 13px;
+      font-weight: 600;
+      color: #ffffff;
+      background: #4752c4;
+      border: none;
+      border-radius: 12px;
+      cursor: pointer;
+      z-index: 10001;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    `;
+    chip.addEventListener('click', (event) => {
+      event.stopPropagation();
+      event.preventDefault();
+      this.showSelectionTranslation(chip, text, rect);
+    });
+
+    document.body.appendChild(chip);
+    this.selectionPopover = chip;
+    this.positionPopover(chip, rect);
   }
 
-  async handleAutoTranslation(messageElement, messageData) {
+  async showSelectionTranslation(chip, text, rect) {
+    const popover = this.createTranslationPopover();
+    chip.replaceWith(popover);
+    this.selectionPopover = popover;
+    this.positionPopover(popover, rect);
+
+    let translationResult;
     try {
-      debugLog('Processing auto translation for message:', messageData.id);
+      translationResult = await this.requestTranslation(text, this.settings.readingTargetLang);
+    } catch (error) {
+      console.error('Error in selection translation:', error);
+      translationResult = { success: false };
+    }
 
-      // Check if already translated
-      if (messageElement.dataset.translatorAutoProcessed) {
-        debugLog('Message already auto-translated, skipping');
-        return;
-      }
+    // The popover was closed while the translation was running
+    if (this.selectionPopover === popover) {
+      this.renderTranslationPopover(popover, translationResult, rect);
+    }
+  }
 
-      // Mark as being processed
-      messageElement.dataset.translatorAutoProcessed = 'true';
+  // Popover for selection and context menu translations, shows a spinner until rendered
+  createTranslationPopover() {
+    const popover = document.createElement('div');
+    popover.className = 'discord-translator-selection';
+    popover.style.cssText = `
+      position: fixed;
+      max-width: 420px;
+      padding: 8px 12px;
+      background: #18191c;
+      color: #dcddde;
+      border-left: 3px solid #4752c4;
+      border-radius: 6px;
+      font-family: Whitney, "Helvetica Neue", Helvetica, Arial, sans-serif;
+      font-size: 14px;
+      line-height: 1.4;
+      z-index: 10001;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+    `;
+    popover.textContent = '🔄';
+    return popover;
+  }
 
-      // Handle multiple message contents in reply containers
-      await this.handleAutoTranslationForAllContents(messageElement, messageData);
+  // Show a translation result with copy and insert actions.
+  // Message translations pass their content element so mentions and links are kept.
+  renderTranslationPopover(popover, translationResult, rect, contentElement = null) {
+    const currentLang = localStorage.getItem('discord-translator-language') || 'en';
+    const isTurkish = currentLang === 'tr';
 
-    } catch (error) {
-      console.error('Error in auto translation:', error);
+    if (!translationResult.success) {
+      popover.textContent = translationResult.rateLimited
+        ? (isTurkish ? '⏳ Hız sınırı, birazdan tekrar deneyin' : '⏳ Rate limited, try again shortly')
+        : `❌ ${translationResult.error || (isTurkish ? 'Çeviri hatası' : 'Translation error')}`;
+      this.positionPopover(popover, rect);
+      return;
     }
-  }
 
-  async handleAutoTranslationForAllContents(messageElement, messageData) {
-    // Find all message contents in this container
-    const messageContents = this.findAllMessageContents(messageElement);
+    const label = document.createElement('div');
+    label.style.cssText = 'font-size: 12px; color: #b9bbbe; margin-bottom: 4px;';
+    label.textContent = translationResult.skipped
+      ? (isTurkish ? '✓ Metin zaten hedef dilde' : '✓ Text is already in the target language')
+      : `🌐 ${this.getLanguageName(translationResult.sourceLang || 'auto')} → ${this.getLanguageName(translationResult.targetLang)}`;
 
-    debugLog(`Processing auto translation for ${messageContents.length} contents`);
+    const body = document.createElement('div');
+    body.style.cssText = 'white-space: pre-wrap; word-wrap: break-word; user-select: text;';
+    if (contentElement) {
+      body.appendChild(this.contentTranslator.render(contentElement, translationResult.translatedText));
+    } else {
+      body.textContent = translationResult.translatedText;
+    }
 
-    for (const [index, contentInfo] of messageContents.entries()) {
-      const { element: contentElement, text: contentText, type } = contentInfo;
+    // Placeholders of rich content are not meant for the clipboard or the message input
+    const plainText = contentElement ? body.textContent : translationResult.translatedText;
 
-      if (contentText && contentText.length > 2 && !contentText.startsWith('/')) {
-        // Create unique message data for each content
-        const contentMessageData = {
-          ...messageData,
-          id: `${messageData.id}_${type}_${index}`,
-          text: contentText,
-          textElement: contentElement,
-          type: type
-        };
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 6px; margin-top: 8px;';
 
-        debugLog(`Processing auto translation for ${type} content:`, contentMessageData.id);
-        await this.processAutoTranslationForContent(messageElement, contentMessageData, contentElement);
+    const createAction = (text, onClick) => {
+      const action = document.createElement('button');
+      action.textContent = text;
+      action.style.cssText = `
+        padding: 3px 10px;
+        font-size: 12px;
+        font-weight: 600;
+        color: #ffffff;
+        background: #4f545c;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+      `;
+      action.addEventListener('click', (event) => {
+        event.stopPropagation();
+        event.preventDefault();
+        onClick(action);
+      });
+      actions.appendChild(action);
+      return action;
+    };
+
+    createAction(isTurkish ? '📋 Kopyala' : '📋 Copy', async (action) => {
+      try {
+        await navigator.clipboard.writeText(plainText);
+        action.textContent = isTurkish ? '✓ Kopyalandı' : '✓ Copied';
+      } catch (error) {
+        console.error('Error copying translation:', error);
+        action.textContent = '❌';
       }
-    }
-  }
+    });
 
-  async processAutoTranslationForContent(messageElement, messageData, contentElement) {
-    try {
-      // Check if already translated
-      if (contentElement.dataset.translatorTranslated) {
-        debugLog('Content already translated, skipping:', messageData.id);
+    createAction(isTurkish ? '↪ Mesaja Ekle' : '↪ Insert into Message', async () => {
+      const inputElement = this.findDiscordMessageInput();
+      if (!inputElement) {
+        this.showNotification(isTurkish ? 'Mesaj kutusu bulunamadı' : 'Message input not found', 'error');
         return;
       }
 
-      // Store original text
-      if (!contentElement.dataset.originalText) {
-        contentElement.dataset.originalText = messageData.text;
-      }
+      this.hideSelectionTranslation();
+      await this.insertTextIntoInput(inputElement, plainText);
+    });
 
-      // Request translation from background script
-      const translationResult = await this.requestTranslation(
-        messageData.text,
-        this.settings.readingTargetLang
-      );
+    popover.replaceChildren(label, body, actions);
+    this.positionPopover(popover, rect);
+  }
 
-      if (translationResult.success) {
-        if (translationResult.skipped) {
-          // Translation was skipped (same language, etc.)
-          debugLog('Translation skipped for content:', translationResult.reason);
-        } else {
-          // Replace message text with translation - no visual changes
-          contentElement.textContent = translationResult.translatedText;
-          contentElement.dataset.translatorTranslated = 'true';
-          contentElement.dataset.sourceLang = translationResult.sourceLang;
-          contentElement.dataset.targetLang = translationResult.targetLang;
+  hideSelectionTranslation() {
+    if (this.selectionPopover) {
+      this.selectionPopover.remove();
+      this.selectionPopover = null;
+    }
+  }
 
-          debugLog('Message text replaced with translation:', messageData.id);
-        }
-      } else {
-        // Show error in console only, don't modify the message
-        console.error('Translation error for message:', messageData.id, translationResult.error);
+  // Context menu entries are registered by the background script, the page only
+  // remembers what was right-clicked so the result can be shown next to it
+  setupContextMenuTranslation() {
+    document.addEventListener('contextmenu', (event) => {
+      const selection = window.getSelection();
+      const rect = selection && !selection.isCollapsed ? selection.getRangeAt(0).getBoundingClientRect() : null;
+
+      this.contextMenuTarget = event.target;
+      this.contextMenuRect = rect && (rect.width || rect.height)
+        ? rect
+        : new DOMRect(event.clientX, event.clientY, 0, 0);
+    }, true);
+  }
+
+  // Content element of the right-clicked message. Discord's message ids are tried as well
+  // so this works for messages the configured selectors did not match.
+  findContextMenuContent(target) {
+    const element = target && (target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement);
+    if (!element || !element.isConnected) {
+      return null;
+    }
+
+    // Embed parts are translated on their own, title links belong to the outer title
+    let embedPart = null;
+    if (this.messageSelectors && this.settings?.translateEmbeds !== false) {
+      const embedPartSelector = this.messageSelectors.embedPart.join(', ');
+      for (let part = element.closest(embedPartSelector); part; part = part.parentElement?.closest(embedPartSelector)) {
+        embedPart = part;
       }
+    }
 
-    } catch (error) {
-      console.error('Error in auto translation for content:', error);
+    const contentElement = embedPart || element.closest('[id^="message-content-"]');
+    if (contentElement) {
+      return contentElement;
     }
+
+    const listItemSelectors = this.messageSelectors ? this.messageSelectors.messageListItem : [];
+    const messageElement = element.closest([...listItemSelectors, '[id^="chat-messages-"]'].join(', '));
+    if (!messageElement) {
+      return null;
+    }
+
+    const mainContent = this.findAllMessageContents(messageElement).find(content => content.type === 'main');
+    return mainContent ? mainContent.element : null;
   }
 
+  // Answer the background script with the text of the right-clicked message
+  getContextMenuMessage() {
+    const currentLang = localStorage.getItem('discord-translator-language') || 'en';
+    const isTurkish = currentLang === 'tr';
 
+    const contentElement = this.findContextMenuContent(this.contextMenuTarget);
+    if (!contentElement) {
+      return { success: false, error: isTurkish ? 'Bu konumda mesaj bulunamadı' : 'No message found at this position' };
+    }
 
-  async requestTranslation(text, targetLang, sourceLang = 'auto') {
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        action: 'translate',
-        text: text,
-        targetLang: targetLang,
-        sourceLang: sourceLang,
-        checkIfNeeded: true // Enable language detection optimization
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          reject(chrome.runtime.lastError);
-          return;
-        }
+    // A translated message is translated again from its original
+    if (contentElement.dataset.translatorTranslated === 'true') {
+      this.restoreOriginalContent(contentElement);
+      contentElement.dataset.translatorTranslated = 'false';
+    }
 
-        if (!response) {
-          reject(new Error('No response from background script'));
-          return;
-        }
+    if (!contentElement.dataset.originalText) {
+      contentElement.dataset.originalText = contentElement.textContent.trim();
+    }
 
-        resolve(response);
-      });
-    });
-  }
+    const prepared = this.contentTranslator.prepare(contentElement);
+    if (!prepared.hasText) {
+      return { success: false, error: isTurkish ? 'Mesajda çevrilecek metin yok' : 'The message has no text to translate' };
+    }
 
-  getLanguageName(langCode) {
-    const languageNames = {
-      'tr': 'Türkçe',
-      'en': 'English',
-      'es': 'Español',
-      'fr': 'Français',
-      'de': 'Deutsch',
-      'it': 'Italiano',
-      'pt': 'Português',
-      'ru': 'Русский',
-      'ja': '日本語',
-      'ko': '한국어',
-      'zh': '中文',
-      'ar': 'العربية',
-      'auto': 'Otomatik'
-    };
+    // An author rule may ask for another target language
+    const listItemSelectors = this.messageSelectors ? this.messageSelectors.messageListItem : [];
+    const messageElement = contentElement.closest([...listItemSelectors, '[id^="chat-messages-"]'].join(', '));
+    const messageData = messageElement && this.settings ? this.extractMessageData(messageElement) : null;
+    if (messageData) {
+      this.applyAuthorRule(messageData);
+    }
 
-    return languageNames[langCode] || langCode.toUpperCase();
+    this.contextMenuContent = { element: contentElement, text: prepared.text };
+    return { success: true, text: prepared.text, targetLang: messageData ? messageData.readingTargetLang : null };
   }
 
-  setupSettingsListener() {
-    // Listen for storage changes to update settings in real-time
-    chrome.storage.onChanged.addListener((changes, namespace) => {
-      if (namespace === 'sync' && changes.settings) {
-        debugLog('Settings changed, reloading...');
-        this.reloadSettings();
+  // Show a context menu translation: messages are translated in place like with the 🌐 button,
+  // selections in the same popover as the selection chip
+  showContextMenuTranslation(request) {
+    const currentLang = localStorage.getItem('discord-translator-language') || 'en';
+    const isTurkish = currentLang === 'tr';
+
+    if (request.kind === 'selection') {
+      if (request.loading) {
+        this.hideSelectionTranslation();
+        const popover = this.createTranslationPopover();
+        document.body.appendChild(popover);
+        this.selectionPopover = popover;
+        this.contextMenuPopover = popover;
+        this.positionPopover(popover, this.contextMenuRect || new DOMRect(0, 0, 0, 0));
+      } else if (this.contextMenuPopover && this.selectionPopover === this.contextMenuPopover) {
+        this.renderTranslationPopover(this.contextMenuPopover, request, this.contextMenuRect || new DOMRect(0, 0, 0, 0));
       }
-    });
+      return;
+    }
 
-    // Also listen for messages from options page
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      if (request.action === 'settingsUpdated') {
-        debugLog('Settings updated message received');
-        this.reloadSettings();
-      }
-    });
+    if (request.loading) {
+      this.showNotification(isTurkish ? 'Mesaj çevriliyor...' : 'Translating message...', 'loading');
+      return;
+    }
+
+    const content = this.contextMenuContent;
+    if (!request.success) {
+      this.showNotification(
+        request.rateLimited
+          ? (isTurkish ? 'Hız sınırı, birazdan tekrar deneyin' : 'Rate limited, try again shortly')
+          : request.error || (isTurkish ? 'Çeviri hatası' : 'Translation error'),
+        request.rateLimited ? 'warning' : 'error'
+      );
+    } else if (request.skipped) {
+      this.showNotification(isTurkish ? 'Mesaj zaten hedef dilde' : 'Message is already in the target language', 'info');
+    } else if (content && content.element.isConnected) {
+      this.showTranslation(content.element, content.text, request);
+      this.showNotification(isTurkish ? 'Mesaj çevrildi' : 'Message translated', 'success', 1500);
+    }
   }
 
   setupClickTranslation(messageElement, messageData) {
@@ -691,16 +2252,26 @@ class DiscordTranslator {
     }
   }
 
-  setupClickTranslationForAllContents(messageElement, messageData) {
-    // Find all message contents in this container (both reply preview and main message)
-    const messageContents = this.findAllMessageContents(messageElement);
-
+  setupClickTranslationForAllContents(messageElement, messageData, messageContents = this.findAllMessageContents(messageElement)) {
     debugLog(`Found ${messageContents.length} message contents in container`);
 
+    // An embed gets one button for all of its parts
+    const embedSelector = this.messageSelectors.embed.join(', ');
+    const embeds = new Map();
+
     messageContents.forEach((contentInfo, index) => {
       const { element: contentElement, text: contentText, type } = contentInfo;
 
-      if (contentText && contentText.length > 2 && !contentText.startsWith('/')) {
+      if (type === 'embed') {
+        const embedElement = contentElement.closest(embedSelector) || contentElement.parentElement;
+        if (!embeds.has(embedElement)) {
+          embeds.set(embedElement, []);
+        }
+        embeds.get(embedElement).push(contentElement);
+        return;
+      }
+
+      if (this.contentClassifier.classify(contentText) === 'prose') {
         // Create unique message data for each content
         const contentMessageData = {
           ...messageData,
@@ -714,6 +2285,15 @@ class DiscordTranslator {
         this.addTranslationLink(messageElement, contentMessageData, contentElement);
       }
     });
+
+    embeds.forEach((contentElements, embedElement) => {
+      const hasProse = contentElements.some(contentElement =>
+        this.contentClassifier.classify(contentElement.textContent) === 'prose'
+      );
+      if (hasProse) {
+        this.addEmbedTranslationButton(embedElement, contentElements, messageData.readingTargetLang);
+      }
+    });
   }
 
   findAllMessageContents(messageElement) {
@@ -745,12 +2325,13 @@ class DiscordTranslator {
       }
     }
 
-    // 3. Fallback: find any other message contents not in reply preview
+    // 3. Fallback: find any other message contents not in reply preview or an embed
     if (contents.length === 0) {
+      const embedSelector = this.messageSelectors.embed.join(', ');
       const allContents = messageElement.querySelectorAll('[class*="messageContent"], [class*="markup"]');
       allContents.forEach((content, index) => {
         const text = content.textContent?.trim();
-        if (text) {
+        if (text && !content.closest(embedSelector)) {
           const isInReply = content.closest('[class*="repliedTextPreview"], [class*="repliedMessage"]');
           contents.push({
             element: content,
@@ -761,9 +2342,141 @@ class DiscordTranslator {
       });
     }
 
+    // 4. System messages and embed parts, each part is translated on its own
+    contents.push(...this.findEmbedContents(messageElement));
+
+    return contents;
+  }
+
+  // Text of system messages and the titles, descriptions, fields and footers of embeds.
+  // Translating the parts one by one keeps the layout of the embed.
+  findEmbedContents(messageElement) {
+    if (!this.settings || this.settings.translateEmbeds === false) {
+      return [];
+    }
+
+    const contents = [];
+    const addParts = (selectors, type) => {
+      const elements = Array.from(messageElement.querySelectorAll(selectors.join(', ')));
+      elements
+        // Title links and nested markup belong to the outer part
+        .filter(element => !elements.some(other => other !== element && other.contains(element)))
+        .filter(element => !element.closest('[class*="repliedTextPreview"], [class*="repliedMessage"]'))
+        .forEach(element => {
+          const text = element.textContent?.trim();
+          if (text) {
+            contents.push({ element: element, text: text, type: type });
+          }
+        });
+    };
+
+    addParts(this.messageSelectors.systemMessage, 'system');
+    addParts(this.messageSelectors.embedPart, 'embed');
+
     return contents;
   }
 
+  // Embed parts sit in a grid, extra blocks next to them would break its layout
+  isEmbedPart(contentElement) {
+    return Boolean(this.messageSelectors) && contentElement.matches(this.messageSelectors.embedPart.join(', '));
+  }
+
+  // One 🌐 button below an embed, translates or restores all of its parts together
+  addEmbedTranslationButton(embedElement, contentElements, targetLang = this.settings.readingTargetLang) {
+    if (embedElement.nextElementSibling?.classList.contains('discord-translator-embed-button')) {
+      return;
+    }
+
+    const translateButton = document.createElement('button');
+    translateButton.className = 'discord-translator-button discord-translator-embed-button';
+    translateButton.textContent = '🌐';
+    translateButton.style.cssText = `
+      display: block;
+      margin-top: 4px;
+      padding: 4px 10px;
+      font-size: 14px;
+      color: #ffffff;
+      background: #4752c4;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      user-select: none;
+    `;
+
+    const resetButton = (delay) => {
+      setTimeout(() => {
+        translateButton.textContent = '🌐';
+        translateButton.style.background = '#4752c4';
+        translateButton.disabled = false;
+      }, delay);
+    };
+
+    translateButton.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      event.preventDefault();
+
+      const translated = contentElements.filter(contentElement => contentElement.dataset.translatorTranslated === 'true');
+      if (translated.length > 0) {
+        translated.forEach(contentElement => {
+          this.restoreOriginalContent(contentElement);
+          contentElement.dataset.translatorTranslated = 'false';
+        });
+        translateButton.textContent = '🌐';
+        translateButton.style.background = '#4752c4';
+        return;
+      }
+
+      translateButton.textContent = '🔄';
+      translateButton.style.background = '#72767d';
+      translateButton.disabled = true;
+
+      try {
+        const results = await Promise.all(contentElements.map(async contentElement => {
+          if (!contentElement.dataset.originalText) {
+            contentElement.dataset.originalText = contentElement.textContent.trim();
+          }
+
+          const prepared = this.contentTranslator.prepare(contentElement);
+          if (!prepared.hasText) {
+            return null;
+          }
+
+          const translationResult = await this.requestTranslation(prepared.text, targetLang);
+          if (translationResult.success && !translationResult.skipped) {
+            this.showTranslation(contentElement, prepared.text, translationResult);
+          }
+          return translationResult;
+        }));
+
+        const responses = results.filter(Boolean);
+        if (responses.some(result => result.success && !result.skipped)) {
+          translateButton.textContent = '↩️';
+          translateButton.style.background = '#43b581';
+          translateButton.disabled = false;
+        } else if (responses.some(result => result.rateLimited)) {
+          translateButton.textContent = '⏳';
+          translateButton.style.background = '#faa61a';
+          resetButton(3000);
+        } else if (responses.every(result => result.success)) {
+          translateButton.textContent = '✓';
+          translateButton.style.background = '#43b581';
+          resetButton(2000);
+        } else {
+          translateButton.textContent = '❌';
+          translateButton.style.background = '#ed4245';
+          resetButton(3000);
+        }
+      } catch (error) {
+        console.error('Error in embed translation:', error);
+        translateButton.textContent = '❌';
+        translateButton.style.background = '#ed4245';
+        resetButton(3000);
+      }
+    });
+
+    embedElement.insertAdjacentElement('afterend', translateButton);
+  }
+
   addTranslationLink(messageElement, messageData, specificContentElement = null) {
     try {
       // Use the specific content element if provided, otherwise find it
@@ -880,7 +2593,7 @@ class DiscordTranslator {
         // Check if already translated
         if (messageContent.dataset.translatorTranslated === 'true') {
           // Restore original text - no visual changes
-          messageContent.textContent = messageContent.dataset.originalText;
+          this.restoreOriginalContent(messageContent);
           messageContent.dataset.translatorTranslated = 'false';
           translateButton.innerHTML = buttonText;
           translateButton.style.background = '#4752c4';
@@ -895,10 +2608,11 @@ class DiscordTranslator {
         translateButton.disabled = true;
 
         try {
-          // Request translation
+          // Request translation, rich content stays in place as placeholders
+          const prepared = this.contentTranslator.prepare(messageContent);
           const translationResult = await this.requestTranslation(
-            messageData.text,
-            this.settings.readingTargetLang
+            prepared.text,
+            messageData.readingTargetLang || this.settings.readingTargetLang
           );
 
           if (translationResult.success) {
@@ -914,10 +2628,7 @@ class DiscordTranslator {
               }, 2000);
             } else {
               // Replace message text with translation - no visual changes
-              messageContent.textContent = translationResult.translatedText;
-              messageContent.dataset.translatorTranslated = 'true';
-              messageContent.dataset.sourceLang = translationResult.sourceLang;
-              messageContent.dataset.targetLang = translationResult.targetLang;
+              this.showTranslation(messageContent, prepared.text, translationResult);
 
               // Update button to show restore option with enhanced styling (icon only)
               translateButton.innerHTML = '↩️';
@@ -928,6 +2639,15 @@ class DiscordTranslator {
 
               debugLog('Message text replaced with translation:', messageData.id);
             }
+          } else if (translationResult.rateLimited) {
+            // Rate limits are temporary, the status pill shows when translations resume
+            translateButton.innerHTML = '⏳';
+            translateButton.style.background = '#faa61a';
+            setTimeout(() => {
+              translateButton.innerHTML = originalButtonText;
+              translateButton.style.background = '#4752c4';
+              translateButton.disabled = false;
+            }, 3000);
           } else {
             // Show error
             translateButton.innerHTML = '❌ Hata';
@@ -1007,7 +2727,7 @@ class DiscordTranslator {
     const translatedMessages = document.querySelectorAll('[data-translator-translated="true"]');
     translatedMessages.forEach(messageContent => {
       if (messageContent.dataset.originalText) {
-        messageContent.textContent = messageContent.dataset.originalText;
+        this.restoreOriginalContent(messageContent);
         delete messageContent.dataset.translatorTranslated;
         delete messageContent.dataset.sourceLang;
         delete messageContent.dataset.targetLang;
@@ -1033,21 +2753,6 @@ class DiscordTranslator {
     debugLog('Click translation cleanup completed');
   }
 
-  setupClickTranslationForExistingMessages() {
-    // Setup click translation for messages that are already on the page
-    const existingMessages = this.findAllMessageElements();
-    debugLog(`Setting up click translation for ${existingMessages.length} existing messages`);
-
-    existingMessages.forEach(messageEl => {
-      if (!messageEl.dataset.clickTranslationSetup) {
-        const messageData = this.extractMessageData(messageEl);
-        if (messageData && messageData.text) {
-          this.setupClickTranslation(messageEl, messageData);
-        }
-      }
-    });
-  }
-
   setupKeyboardShortcuts() {
     debugLog('Setting up keyboard shortcuts for writing translation');
 
@@ -1590,7 +3295,9 @@ class DiscordTranslator {
       // Request translation from background script
       const translationResult = await this.requestTranslation(
         currentText,
-        this.settings.writingTargetLang
+        this.settings.writingTargetLang,
+        'auto',
+        'writing'
       );
 
       // Only hide input loading indicator, keep notification until success/error
@@ -1987,6 +3694,35 @@ class DiscordTranslator {
     return `Key${char.toUpperCase()}`;
   }
 
+  // Insert text at the end of the message input without replacing what is there
+  async insertTextIntoInput(inputElement, text) {
+    try {
+      inputElement.focus();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // Move the caret to the end
+      const range = document.createRange();
+      range.selectNodeContents(inputElement);
+      range.collapse(false);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/plain', text);
+      inputElement.dispatchEvent(new ClipboardEvent('paste', {
+        bubbles: true,
+        cancelable: true,
+        clipboardData: clipboardData
+      }));
+
+      debugLog('Inserted text into message input');
+    } catch (error) {
+      console.error('Error inserting text into input:', error);
+    }
+  }
+
   async simulatePasteReplacement(inputElement, newText) {
     try {
       debugLog('Using paste simulation fallback');
@@ -2208,10 +3944,32 @@ class DiscordTranslator {
     this.showNotification('', 'error', 5000);
   }
 
+  // Drop queued auto translations and abort the ones already sent for the old channel
+  cancelPendingTranslations() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+
+    const items = this.pendingBatch;
+    this.pendingBatch = [];
+    items.forEach(item => item.resolve({ success: false, cancelled: true, error: 'Translation cancelled' }));
+
+    chrome.runtime.sendMessage({ action: 'cancelTranslations' }, (response) => {
+      if (chrome.runtime.lastError) {
+        debugLog('Could not cancel translations:', chrome.runtime.lastError.message);
+        return;
+      }
+
+      debugLog('Cancelled pending translations:', response && response.cancelled);
+    });
+  }
+
   // Method to restart observer if Discord navigation occurs
   restartObserver() {
     debugLog('Restarting Discord message observer');
 
+    // Translations of the previous channel would delay the new one
+    this.cancelPendingTranslations();
+
     if (this.observer) {
       this.observer.disconnect();
     }
@@ -2245,6 +4003,10 @@ class DiscordTranslator {
         lastUrl = location.href;
         debugLog('Discord navigation detected, checking if restart needed');
 
+        if (this.getChannelPath() !== this.settingsChannelPath) {
+          this.applyChannelRules();
+        }
+
         // If we're still on a messages page but observer might be stale
         if (this.isOnDiscordMessagesPage()) {
           this.restartObserver();
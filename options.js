@@ -7,7 +7,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     const form = {
         readingModeAuto: document.getElementById('readingModeAuto'),
         readingModeClick: document.getElementById('readingModeClick'),
+        readingModeHover: document.getElementById('readingModeHover'),
+        hoverDelay: document.getElementById('hoverDelay'),
         readingTargetLang: document.getElementById('readingTargetLang'),
+        displayStyleReplace: document.getElementById('displayStyleReplace'),
+        displayStyleBilingual: document.getElementById('displayStyleBilingual'),
+        bilingualOrder: document.getElementById('bilingualOrder'),
+        bilingualCollapsed: document.getElementById('bilingualCollapsed'),
+        selectionTranslation: document.getElementById('selectionTranslation'),
+        translateEmbeds: document.getElementById('translateEmbeds'),
+        skipOwnMessages: document.getElementById('skipOwnMessages'),
+        skipBotMessages: document.getElementById('skipBotMessages'),
         writingEnabled: document.getElementById('writingEnabled'),
         writingTargetLang: document.getElementById('writingTargetLang')
     };
@@ -29,6 +39,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     const saveBtn = document.getElementById('saveBtn');
     const resetBtn = document.getElementById('resetBtn');
     const statusDiv = document.getElementById('status');
+    const bilingualOptions = document.getElementById('bilingualOptions');
+    const hoverDelayGroup = document.getElementById('hoverDelayGroup');
     const copyAddressBtn = document.getElementById('copyAddressBtn');
     const evmAddress = document.getElementById('evmAddress');
 
@@ -36,6 +48,75 @@ document.addEventListener('DOMContentLoaded', async () => {
     const langEnBtn = document.getElementById('langEn');
     const langTrBtn = document.getElementById('langTr');
 
+    // Translation provider elements
+    const providerOptions = document.getElementById('providerOptions');
+    const providerInputs = {
+        libreTranslateUrl: document.getElementById('libreTranslateUrl'),
+        deeplPlan: document.getElementById('deeplPlan'),
+        openaiUrl: document.getElementById('openaiUrl'),
+        openaiModel: document.getElementById('openaiModel'),
+        openaiSystemPrompt: document.getElementById('openaiSystemPrompt')
+    };
+    const deeplFormalitySelects = document.querySelectorAll('#deeplFormality .formality-select');
+
+    // Provider settings as loaded, so settings of inactive providers are kept on save
+    let loadedProviderSettings = {};
+
+    // Fallback provider state: display order of all providers and the enabled ones
+    const fallbackProviderList = document.getElementById('fallbackProviderList');
+    let availableProviders = [];
+    let fallbackOrder = [];
+    let enabledFallbacks = new Set();
+    let providerHealth = {};
+
+    // API key elements, one key input per provider that accepts a key
+    const apiKeyElements = {
+        list: document.getElementById('apiKeyList'),
+        unlock: document.getElementById('apiKeyUnlock'),
+        unlockPassphrase: document.getElementById('apiKeyUnlockPassphrase'),
+        unlockBtn: document.getElementById('unlockApiKeysBtn'),
+        unlockResult: document.getElementById('apiKeyUnlockResult'),
+        encrypt: document.getElementById('encryptApiKeys'),
+        passphraseGroup: document.getElementById('apiKeyPassphraseGroup'),
+        passphrase: document.getElementById('apiKeyPassphrase'),
+        lockBtn: document.getElementById('lockApiKeysBtn')
+    };
+    const apiKeyInputs = {};
+    let apiKeyStatus = { encrypted: false, locked: false };
+
+    // Translation cache elements
+    const cacheElements = {
+        entries: document.getElementById('cacheEntries'),
+        hitRate: document.getElementById('cacheHitRate'),
+        hits: document.getElementById('cacheHits'),
+        misses: document.getElementById('cacheMisses'),
+        maxEntries: document.getElementById('cacheMaxEntries'),
+        ttlHours: document.getElementById('cacheTtlHours'),
+        clearBtn: document.getElementById('clearCacheBtn')
+    };
+
+    // Glossary elements
+    const glossaryElements = {
+        termList: document.getElementById('glossaryTermList'),
+        addTermBtn: document.getElementById('addGlossaryTermBtn'),
+        protectedTerms: document.getElementById('glossaryProtectedTerms'),
+        importBtn: document.getElementById('importGlossaryBtn'),
+        importFile: document.getElementById('glossaryImportFile'),
+        exportBtn: document.getElementById('exportGlossaryBtn')
+    };
+
+    // Channel rule elements
+    const channelRuleElements = {
+        list: document.getElementById('channelRuleList'),
+        addBtn: document.getElementById('addChannelRuleBtn')
+    };
+
+    // Author rule elements
+    const authorRuleElements = {
+        list: document.getElementById('authorRuleList'),
+        addBtn: document.getElementById('addAuthorRuleBtn')
+    };
+
     // Test background script connection first
     try {
         console.log('Testing background script connection...');
@@ -45,9 +126,21 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.error('Background script connection test failed:', error);
     }
 
+    // Load available translation providers before settings so the saved one can be selected
+    await loadProviders();
+
     // Load current settings
     await loadSettings();
 
+    // Load API keys from local storage
+    await loadApiKeys();
+
+    // Load translation cache statistics
+    await loadCacheStats();
+
+    // Load glossary from local storage
+    await loadGlossary();
+
     // Load language preference and set initial language
     await loadLanguagePreference();
     
@@ -93,7 +186,1040 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     });
 
-    // API key input removed - now hardcoded
+    [form.displayStyleReplace, form.displayStyleBilingual].forEach(element => {
+        element.addEventListener('change', updateBilingualOptionsVisibility);
+    });
+
+    [form.readingModeAuto, form.readingModeClick, form.readingModeHover].forEach(element => {
+        element.addEventListener('change', updateHoverDelayVisibility);
+    });
+
+    providerOptions.addEventListener('change', () => {
+        showStatus('', '');
+        updateProviderConfigVisibility();
+        renderFallbackProviders();
+        validateFormVisually();
+    });
+
+    Object.values(providerInputs).forEach(input => {
+        input.addEventListener('input', () => {
+            showStatus('', '');
+            validateFormVisually();
+        });
+    });
+
+    document.querySelectorAll('.test-connection-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const resultElement = document.querySelector(`.provider-test-result[data-provider="${button.dataset.provider}"]`);
+            testProviderConnection(button.dataset.provider, button, resultElement);
+        });
+    });
+
+    // API key event listeners
+    apiKeyElements.encrypt.addEventListener('change', () => {
+        showStatus('', '');
+        updateApiKeyEncryptionState();
+        validateFormVisually();
+    });
+    apiKeyElements.passphrase.addEventListener('input', () => {
+        showStatus('', '');
+        validateFormVisually();
+    });
+    apiKeyElements.unlockBtn.addEventListener('click', unlockApiKeys);
+    apiKeyElements.unlockPassphrase.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            unlockApiKeys();
+        }
+    });
+    apiKeyElements.lockBtn.addEventListener('click', lockApiKeys);
+
+    // Translation cache event listeners
+    [cacheElements.maxEntries, cacheElements.ttlHours].forEach(input => {
+        input.addEventListener('input', () => {
+            showStatus('', '');
+            validateFormVisually();
+        });
+    });
+    cacheElements.clearBtn.addEventListener('click', clearCache);
+
+    // Channel rule event listeners
+    channelRuleElements.addBtn.addEventListener('click', () => {
+        addChannelRuleRow().location.focus();
+    });
+
+    // Author rule event listeners
+    authorRuleElements.addBtn.addEventListener('click', () => {
+        addAuthorRuleRow().userId.focus();
+    });
+
+    // Glossary event listeners
+    glossaryElements.addTermBtn.addEventListener('click', () => {
+        addGlossaryTermRow().source.focus();
+    });
+    glossaryElements.protectedTerms.addEventListener('input', () => {
+        showStatus('', '');
+    });
+    glossaryElements.importBtn.addEventListener('click', () => glossaryElements.importFile.click());
+    glossaryElements.importFile.addEventListener('change', () => {
+        const file = glossaryElements.importFile.files[0];
+        glossaryElements.importFile.value = '';
+        if (file) {
+            importGlossaryCsv(file);
+        }
+    });
+    glossaryElements.exportBtn.addEventListener('click', exportGlossaryCsv);
+
+    async function loadProviders() {
+        try {
+            const response = await sendMessage({ action: 'getProviders' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Providers could not be loaded');
+            }
+
+            availableProviders = response.providers;
+            fallbackOrder = response.providers.map(provider => provider.id);
+            renderApiKeyInputs();
+
+            providerOptions.innerHTML = '';
+            response.providers.forEach(provider => {
+                const option = document.createElement('label');
+                option.className = 'radio-option';
+
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = 'provider';
+                input.value = provider.id;
+                input.id = `provider-${provider.id}`;
+
+                const content = document.createElement('div');
+                content.className = 'radio-content';
+
+                const header = document.createElement('div');
+                header.className = 'radio-header';
+
+                const icon = document.createElement('span');
+                icon.className = 'radio-icon';
+                icon.textContent = '🌐';
+
+                const title = document.createElement('span');
+                title.className = 'radio-title';
+                title.textContent = provider.name;
+
+                header.appendChild(icon);
+                header.appendChild(title);
+                content.appendChild(header);
+                option.appendChild(input);
+                option.appendChild(content);
+                providerOptions.appendChild(option);
+            });
+
+            console.log('Providers loaded:', response.providers);
+        } catch (error) {
+            console.error('Error loading providers:', error);
+            showStatus(`${getTranslatedText('Çeviri servisleri yüklenemedi:', 'Error loading providers:')} ${error.message}`, 'error');
+        }
+    }
+
+    function getSelectedProvider() {
+        const selected = providerOptions.querySelector('input[name="provider"]:checked');
+        return selected ? selected.value : 'google';
+    }
+
+    function setSelectedProvider(providerId) {
+        const input = providerOptions.querySelector(`input[name="provider"][value="${providerId}"]`) ||
+            providerOptions.querySelector('input[name="provider"][value="google"]');
+        if (input) {
+            input.checked = true;
+        }
+        updateProviderConfigVisibility();
+    }
+
+    function setFallbackProviders(fallbackProviders) {
+        const enabled = (fallbackProviders || []).filter(providerId => fallbackOrder.includes(providerId));
+        enabledFallbacks = new Set(enabled);
+
+        // Enabled fallbacks first, in their saved order
+        fallbackOrder = [...enabled, ...fallbackOrder.filter(providerId => !enabledFallbacks.has(providerId))];
+        renderFallbackProviders();
+    }
+
+    function getFallbackProviders() {
+        const selectedProvider = getSelectedProvider();
+        return fallbackOrder.filter(providerId => enabledFallbacks.has(providerId) && providerId !== selectedProvider);
+    }
+
+    async function loadProviderHealth() {
+        try {
+            const response = await sendMessage({ action: 'getProviderHealth' });
+            providerHealth = response.success ? response.health : {};
+        } catch (error) {
+            console.error('Error loading provider health:', error);
+            providerHealth = {};
+        }
+        renderFallbackProviders();
+    }
+
+    function getHealthText(providerId) {
+        const health = providerHealth[providerId];
+        if (!health) {
+            return '';
+        }
+
+        if (!health.available) {
+            const until = new Date(health.cooldownUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            return `⏳ ${getTranslatedText('Beklemede', 'Cooling down')} (${until})`;
+        }
+
+        return health.recentFailures > 0 ? `⚠️ ${health.recentFailures}` : '🟢';
+    }
+
+    function moveFallbackProvider(providerId, direction) {
+        const index = fallbackOrder.indexOf(providerId);
+        const newIndex = index + direction;
+        if (index < 0 || newIndex < 0 || newIndex >= fallbackOrder.length) {
+            return;
+        }
+
+        [fallbackOrder[index], fallbackOrder[newIndex]] = [fallbackOrder[newIndex], fallbackOrder[index]];
+        renderFallbackProviders();
+    }
+
+    function renderFallbackProviders() {
+        const selectedProvider = getSelectedProvider();
+        fallbackProviderList.innerHTML = '';
+
+        fallbackOrder.forEach((providerId, index) => {
+            const provider = availableProviders.find(item => item.id === providerId);
+            if (!provider) {
+                return;
+            }
+
+            const isPrimary = providerId === selectedProvider;
+            const item = document.createElement('div');
+            item.className = `fallback-item${isPrimary ? ' disabled' : ''}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !isPrimary && enabledFallbacks.has(providerId);
+            checkbox.disabled = isPrimary;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    enabledFallbacks.add(providerId);
+                } else {
+                    enabledFallbacks.delete(providerId);
+                }
+                showStatus('', '');
+            });
+
+            const name = document.createElement('span');
+            name.className = 'fallback-name';
+            name.textContent = isPrimary
+                ? `${provider.name} (${getTranslatedText('seçili', 'selected')})`
+                : provider.name;
+
+            const health = document.createElement('span');
+            health.className = 'fallback-health';
+            health.textContent = getHealthText(providerId);
+            if (providerHealth[providerId] && providerHealth[providerId].lastError) {
+                health.title = providerHealth[providerId].lastError;
+            }
+
+            const upButton = document.createElement('button');
+            upButton.type = 'button';
+            upButton.className = 'fallback-move-btn';
+            upButton.textContent = '▲';
+            upButton.disabled = index === 0;
+            upButton.addEventListener('click', () => moveFallbackProvider(providerId, -1));
+
+            const downButton = document.createElement('button');
+            downButton.type = 'button';
+            downButton.className = 'fallback-move-btn';
+            downButton.textContent = '▼';
+            downButton.disabled = index === fallbackOrder.length - 1;
+            downButton.addEventListener('click', () => moveFallbackProvider(providerId, 1));
+
+            item.appendChild(checkbox);
+            item.appendChild(name);
+            item.appendChild(health);
+            item.appendChild(upButton);
+            item.appendChild(downButton);
+            fallbackProviderList.appendChild(item);
+        });
+    }
+
+    // Show only the settings block of the selected provider
+    function updateProviderConfigVisibility() {
+        const selectedProvider = getSelectedProvider();
+        document.querySelectorAll('.provider-config').forEach(config => {
+            config.style.display = config.dataset.provider === selectedProvider ? 'block' : 'none';
+        });
+    }
+
+    // Provider specific settings from the form
+    function getProviderConfig(providerId) {
+        switch (providerId) {
+            case 'libretranslate':
+                return {
+                    url: providerInputs.libreTranslateUrl.value.trim()
+                };
+            case 'deepl': {
+                const formality = {};
+                deeplFormalitySelects.forEach(select => {
+                    formality[select.dataset.lang] = select.value;
+                });
+
+                return {
+                    plan: providerInputs.deeplPlan.value,
+                    formality: formality
+                };
+            }
+            case 'openai':
+                return {
+                    url: providerInputs.openaiUrl.value.trim(),
+                    model: providerInputs.openaiModel.value.trim(),
+                    systemPrompt: providerInputs.openaiSystemPrompt.value.trim()
+                };
+            default:
+                return { ...(loadedProviderSettings[providerId] || {}) };
+        }
+    }
+
+    function setProviderConfigs(providerSettings) {
+        loadedProviderSettings = providerSettings || {};
+
+        const libreTranslate = loadedProviderSettings.libretranslate || {};
+        providerInputs.libreTranslateUrl.value = libreTranslate.url || '';
+
+        const deepl = loadedProviderSettings.deepl || {};
+        providerInputs.deeplPlan.value = deepl.plan || 'free';
+        deeplFormalitySelects.forEach(select => {
+            select.value = (deepl.formality && deepl.formality[select.dataset.lang]) || 'default';
+        });
+
+        const openai = loadedProviderSettings.openai || {};
+        providerInputs.openaiUrl.value = openai.url || '';
+        providerInputs.openaiModel.value = openai.model || '';
+        providerInputs.openaiSystemPrompt.value = openai.systemPrompt || '';
+    }
+
+    function getProviderSettings() {
+        return {
+            ...loadedProviderSettings,
+            libretranslate: getProviderConfig('libretranslate'),
+            deepl: getProviderConfig('deepl'),
+            openai: getProviderConfig('openai')
+        };
+    }
+
+    // Self-hosted providers need host permission for their URL
+    async function requestProviderHostPermission(providerIds) {
+        try {
+            const origins = providerIds
+                .map(providerId => getProviderConfig(providerId).url)
+                .filter(Boolean)
+                .map(value => {
+                    const url = new URL(value);
+                    return `${url.protocol}//${url.hostname}/*`;
+                });
+
+            if (origins.length === 0) {
+                return true;
+            }
+
+            return await chrome.permissions.request({ origins });
+        } catch (error) {
+            console.error('Error requesting host permission:', error);
+            return false;
+        }
+    }
+
+    async function testProviderConnection(providerId, button, resultElement) {
+        // Must be requested before any await to keep the user gesture
+        const permissionGranted = await requestProviderHostPermission([providerId]);
+
+        try {
+            button.disabled = true;
+            resultElement.classList.remove('success', 'error');
+            resultElement.textContent = getTranslatedText('Test ediliyor...', 'Testing...');
+
+            if (!permissionGranted) {
+                throw new Error(getTranslatedText('Sunucu erişim izni verilmedi', 'Permission to access the server was denied'));
+            }
+
+            const response = await sendMessage({
+                action: 'testProviderConnection',
+                provider: providerId,
+                config: { ...getProviderConfig(providerId), apiKey: getApiKey(providerId) }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Connection test failed');
+            }
+
+            resultElement.classList.add('success');
+            resultElement.textContent = `✅ ${response.message} ("Hello" → "${response.sample}")`;
+        } catch (error) {
+            console.error('Provider connection test failed:', error);
+            resultElement.classList.add('error');
+            resultElement.textContent = `❌ ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Key rows for every provider that accepts an API key
+    function renderApiKeyInputs() {
+        apiKeyElements.list.innerHTML = '';
+
+        availableProviders
+            .filter(provider => provider.apiKeyMode !== 'none')
+            .forEach(provider => {
+                const group = document.createElement('div');
+                group.className = 'setting-group';
+
+                const label = document.createElement('label');
+                label.className = 'setting-label';
+                label.htmlFor = `apiKey-${provider.id}`;
+                if (provider.apiKeyMode === 'optional') {
+                    label.dataset.tr = `${provider.name} (isteğe bağlı)`;
+                    label.dataset.en = `${provider.name} (optional)`;
+                    label.textContent = getTranslatedText(label.dataset.tr, label.dataset.en);
+                } else {
+                    label.textContent = provider.name;
+                }
+
+                const row = document.createElement('div');
+                row.className = 'api-key-input-row';
+
+                const input = document.createElement('input');
+                input.type = 'password';
+                input.id = `apiKey-${provider.id}`;
+                input.className = 'text-input';
+                input.autocomplete = 'off';
+                input.value = apiKeyInputs[provider.id] ? apiKeyInputs[provider.id].value : '';
+                input.addEventListener('input', () => {
+                    showStatus('', '');
+                    validateFormVisually();
+                });
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn-small btn-primary';
+                button.dataset.tr = 'Doğrula';
+                button.dataset.en = 'Check';
+                button.textContent = getTranslatedText('Doğrula', 'Check');
+
+                const result = document.createElement('p');
+                result.className = 'api-key-result';
+
+                button.addEventListener('click', () => testProviderConnection(provider.id, button, result));
+
+                row.appendChild(input);
+                row.appendChild(button);
+                group.appendChild(label);
+                group.appendChild(row);
+                group.appendChild(result);
+                apiKeyElements.list.appendChild(group);
+
+                apiKeyInputs[provider.id] = input;
+            });
+    }
+
+    function getApiKey(providerId) {
+        return apiKeyInputs[providerId] ? apiKeyInputs[providerId].value.trim() : '';
+    }
+
+    function getApiKeys() {
+        const keys = {};
+        Object.entries(apiKeyInputs).forEach(([providerId, input]) => {
+            if (input.value.trim()) {
+                keys[providerId] = input.value.trim();
+            }
+        });
+        return keys;
+    }
+
+    async function loadApiKeys() {
+        try {
+            const response = await sendMessage({ action: 'getApiKeys' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'API keys could not be loaded');
+            }
+
+            setApiKeyStatus(response);
+            Object.entries(apiKeyInputs).forEach(([providerId, input]) => {
+                input.value = response.keys[providerId] || '';
+            });
+            validateFormVisually();
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+            showStatus(`${getTranslatedText('API anahtarları yüklenirken hata oluştu:', 'Error loading API keys:')} ${error.message}`, 'error');
+        }
+    }
+
+    function setApiKeyStatus(status) {
+        apiKeyStatus = { encrypted: Boolean(status.encrypted), locked: Boolean(status.locked) };
+        apiKeyElements.encrypt.checked = apiKeyStatus.encrypted;
+        apiKeyElements.unlock.style.display = apiKeyStatus.locked ? 'block' : 'none';
+        Object.values(apiKeyInputs).forEach(input => {
+            input.disabled = apiKeyStatus.locked;
+        });
+        updateApiKeyEncryptionState();
+    }
+
+    function updateApiKeyEncryptionState() {
+        apiKeyElements.passphraseGroup.style.display = apiKeyElements.encrypt.checked ? 'block' : 'none';
+        apiKeyElements.lockBtn.style.display = apiKeyStatus.encrypted && !apiKeyStatus.locked ? 'inline-block' : 'none';
+    }
+
+    async function unlockApiKeys() {
+        try {
+            apiKeyElements.unlockBtn.disabled = true;
+            apiKeyElements.unlockResult.className = 'api-key-result';
+            apiKeyElements.unlockResult.textContent = '';
+
+            const response = await sendMessage({
+                action: 'unlockApiKeys',
+                passphrase: apiKeyElements.unlockPassphrase.value
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'API keys could not be unlocked');
+            }
+
+            apiKeyElements.unlockPassphrase.value = '';
+            await loadApiKeys();
+        } catch (error) {
+            console.error('Error unlocking API keys:', error);
+            apiKeyElements.unlockResult.className = 'api-key-result error';
+            apiKeyElements.unlockResult.textContent = `❌ ${error.message}`;
+        } finally {
+            apiKeyElements.unlockBtn.disabled = false;
+        }
+    }
+
+    async function lockApiKeys() {
+        try {
+            const response = await sendMessage({ action: 'lockApiKeys' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'API keys could not be locked');
+            }
+
+            Object.values(apiKeyInputs).forEach(input => {
+                input.value = '';
+            });
+            setApiKeyStatus(response);
+            validateFormVisually();
+        } catch (error) {
+            console.error('Error locking API keys:', error);
+            showStatus(error.message, 'error');
+        }
+    }
+
+    async function saveApiKeys() {
+        // Saving while locked would overwrite the encrypted keys with empty ones
+        if (apiKeyStatus.locked) {
+            return;
+        }
+
+        const response = await sendMessage({
+            action: 'saveApiKeys',
+            keys: getApiKeys(),
+            encrypt: apiKeyElements.encrypt.checked,
+            passphrase: apiKeyElements.passphrase.value
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'API keys could not be saved');
+        }
+
+        apiKeyElements.passphrase.value = '';
+        setApiKeyStatus(response);
+    }
+
+    function renderCacheStats(stats) {
+        cacheElements.entries.textContent = stats.entries.toLocaleString();
+        cacheElements.hitRate.textContent = `${Math.round(stats.hitRate * 100)}%`;
+        cacheElements.hits.textContent = stats.hits.toLocaleString();
+        cacheElements.misses.textContent = stats.misses.toLocaleString();
+    }
+
+    async function loadCacheStats() {
+        try {
+            const response = await sendMessage({ action: 'getCacheStats' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Cache statistics could not be loaded');
+            }
+
+            renderCacheStats(response.stats);
+        } catch (error) {
+            console.error('Error loading cache stats:', error);
+        }
+    }
+
+    async function clearCache() {
+        if (!confirm(getTranslatedText('Çeviri önbelleğini temizlemek istediğinizden emin misiniz?', 'Are you sure you want to clear the translation cache?'))) {
+            return;
+        }
+
+        try {
+            cacheElements.clearBtn.disabled = true;
+
+            const response = await sendMessage({ action: 'clearCache' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Cache could not be cleared');
+            }
+
+            renderCacheStats(response.stats);
+            showStatus(getTranslatedText('Önbellek temizlendi', 'Cache cleared'), 'success');
+        } catch (error) {
+            console.error('Error clearing cache:', error);
+            showStatus(`${getTranslatedText('Önbellek temizlenirken hata oluştu:', 'Error clearing cache:')} ${error.message}`, 'error');
+        } finally {
+            cacheElements.clearBtn.disabled = false;
+        }
+    }
+
+    // Add an editable glossary row, returns its inputs
+    function addGlossaryTermRow(term = {}) {
+        const row = document.createElement('div');
+        row.className = 'glossary-term-row';
+
+        const createInput = (value, className, tr, en) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = `text-input ${className}`;
+            input.value = value || '';
+            input.dataset.trPlaceholder = tr;
+            input.dataset.enPlaceholder = en;
+            input.placeholder = getTranslatedText(tr, en);
+            input.addEventListener('input', () => {
+                showStatus('', '');
+                validateFormVisually();
+            });
+            row.appendChild(input);
+            return input;
+        };
+
+        const inputs = {};
+        inputs.sourceLang = createInput(term.sourceLang, 'glossary-lang-input', 'dil', 'lang');
+        inputs.source = createInput(term.source, 'glossary-source-input', 'Terim', 'Term');
+
+        const arrow = document.createElement('span');
+        arrow.className = 'glossary-arrow';
+        arrow.textContent = '→';
+        row.appendChild(arrow);
+
+        inputs.target = createInput(term.target, 'glossary-target-input', 'Çeviri', 'Translation');
+        inputs.targetLang = createInput(term.targetLang, 'glossary-lang-input', 'dil', 'lang');
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn-small btn-secondary';
+        removeButton.textContent = '✕';
+        removeButton.addEventListener('click', () => {
+            row.remove();
+            showStatus('', '');
+            validateFormVisually();
+        });
+        row.appendChild(removeButton);
+
+        row.glossaryInputs = inputs;
+        glossaryElements.termList.appendChild(row);
+        return inputs;
+    }
+
+    function renderGlossary(glossary) {
+        glossaryElements.termList.innerHTML = '';
+        glossary.terms.forEach(term => addGlossaryTermRow(term));
+        glossaryElements.protectedTerms.value = glossary.protectedTerms.join('\n');
+    }
+
+    // Glossary as entered in the form, rows without a term are ignored
+    function getGlossary() {
+        const terms = Array.from(glossaryElements.termList.children)
+            .map(row => ({
+                source: row.glossaryInputs.source.value.trim(),
+                target: row.glossaryInputs.target.value.trim(),
+                sourceLang: row.glossaryInputs.sourceLang.value.trim().toLowerCase(),
+                targetLang: row.glossaryInputs.targetLang.value.trim().toLowerCase()
+            }))
+            .filter(term => term.source || term.target);
+
+        const protectedTerms = glossaryElements.protectedTerms.value
+            .split('\n')
+            .map(term => term.trim())
+            .filter(Boolean);
+
+        return { terms, protectedTerms };
+    }
+
+    async function loadGlossary() {
+        try {
+            const response = await sendMessage({ action: 'getGlossary' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Glossary could not be loaded');
+            }
+
+            renderGlossary(response.glossary);
+        } catch (error) {
+            console.error('Error loading glossary:', error);
+            showStatus(`${getTranslatedText('Sözlük yüklenirken hata oluştu:', 'Error loading glossary:')} ${error.message}`, 'error');
+        }
+    }
+
+    async function saveGlossary() {
+        const response = await sendMessage({
+            action: 'saveGlossary',
+            glossary: getGlossary()
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Glossary could not be saved');
+        }
+
+        renderGlossary(response.glossary);
+        loadCacheStats();
+    }
+
+    // Native language names for the channel rule selects
+    const ruleLanguageNames = {
+        tr: 'Türkçe',
+        en: 'English',
+        es: 'Español',
+        fr: 'Français',
+        de: 'Deutsch',
+        it: 'Italiano',
+        pt: 'Português',
+        ru: 'Русский',
+        ja: '日本語',
+        ko: '한국어',
+        zh: '中文',
+        ar: 'العربية'
+    };
+
+    function onRuleChange() {
+        showStatus('', '');
+        validateFormVisually();
+    }
+
+    function createRuleInput(row, value, tr, en) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'text-input';
+        input.value = value || '';
+        input.dataset.trPlaceholder = tr;
+        input.dataset.enPlaceholder = en;
+        input.placeholder = getTranslatedText(tr, en);
+        input.addEventListener('input', onRuleChange);
+        row.appendChild(input);
+        return input;
+    }
+
+    // Options are [value, Turkish label, English label] or [value, label]
+    function createRuleSelect(row, value, options) {
+        const select = document.createElement('select');
+        select.className = 'modern-select';
+        options.forEach(([optionValue, tr, en]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            if (en) {
+                option.dataset.tr = tr;
+                option.dataset.en = en;
+            }
+            option.textContent = en ? getTranslatedText(tr, en) : tr;
+            select.appendChild(option);
+        });
+        select.value = value || '';
+        select.addEventListener('change', onRuleChange);
+        row.appendChild(select);
+        return select;
+    }
+
+    function createRuleRemoveButton(row) {
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn-small btn-secondary';
+        removeButton.textContent = '✕';
+        removeButton.addEventListener('click', () => {
+            row.remove();
+            onRuleChange();
+        });
+        row.appendChild(removeButton);
+    }
+
+    // Add an editable channel rule row, returns its inputs
+    function addChannelRuleRow(rule = {}) {
+        const row = document.createElement('div');
+        row.className = 'channel-rule-row';
+
+        const languageOptions = Object.entries(ruleLanguageNames);
+
+        const inputs = {};
+        inputs.name = createRuleInput(row, rule.name, 'Ad', 'Name');
+        inputs.name.maxLength = 50;
+        inputs.location = createRuleInput(row, formatRuleLocation(rule), 'Kanal bağlantısı veya sunucu kimliği', 'Channel link or server ID');
+        inputs.readingMode = createRuleSelect(row, rule.enabled === false ? 'off' : rule.readingMode, [
+            ['', 'Varsayılan mod', 'Default mode'],
+            ['auto', 'Otomatik', 'Auto'],
+            ['click', 'Tıkla-Çevir', 'Click to Translate'],
+            ['hover', 'Üzerine Gel', 'Hover'],
+            ['off', 'Kapalı', 'Off']
+        ]);
+        inputs.readingTargetLang = createRuleSelect(row, rule.readingTargetLang, [
+            ['', 'Varsayılan okuma dili', 'Default reading language'],
+            ...languageOptions
+        ]);
+        inputs.writingTargetLang = createRuleSelect(row, rule.writingTargetLang, [
+            ['', 'Varsayılan yazma dili', 'Default writing language'],
+            ...languageOptions
+        ]);
+        createRuleRemoveButton(row);
+
+        row.channelRuleInputs = inputs;
+        channelRuleElements.list.appendChild(row);
+        return inputs;
+    }
+
+    function renderChannelRules(rules) {
+        channelRuleElements.list.innerHTML = '';
+        rules.forEach(rule => addChannelRuleRow(rule));
+    }
+
+    // Server and channel IDs from a channel link, "server/channel" or a server ID
+    function parseRuleLocation(value) {
+        const match = value.trim().match(/^(?:(?:https?:\/\/)?(?:[\w-]+\.)?discord\.com\/channels\/)?(@me|\d+)(?:\/(\d+))?(?:\/\d+)?\/?$/);
+        return match ? { guildId: match[1], channelId: match[2] || '' } : null;
+    }
+
+    function formatRuleLocation(rule) {
+        if (!rule.guildId) {
+            return '';
+        }
+        return rule.channelId ? `${rule.guildId}/${rule.channelId}` : rule.guildId;
+    }
+
+    // Channel rules as entered in the form, empty rows are ignored
+    function getChannelRules() {
+        return Array.from(channelRuleElements.list.children)
+            .filter(row => row.channelRuleInputs.location.value.trim())
+            .map(row => {
+                const inputs = row.channelRuleInputs;
+                const location = parseRuleLocation(inputs.location.value) || { guildId: '', channelId: '' };
+                const readingMode = inputs.readingMode.value;
+
+                return {
+                    name: inputs.name.value.trim(),
+                    guildId: location.guildId,
+                    channelId: location.channelId,
+                    enabled: readingMode !== 'off',
+                    readingMode: readingMode === 'off' ? '' : readingMode,
+                    readingTargetLang: inputs.readingTargetLang.value,
+                    writingTargetLang: inputs.writingTargetLang.value
+                };
+            });
+    }
+
+    // Add an editable author rule row, returns its inputs
+    function addAuthorRuleRow(rule = {}) {
+        const row = document.createElement('div');
+        row.className = 'author-rule-row';
+
+        const inputs = {};
+        inputs.name = createRuleInput(row, rule.name, 'Ad', 'Name');
+        inputs.name.maxLength = 50;
+        inputs.userId = createRuleInput(row, rule.userId, 'Kullanıcı ID', 'User ID');
+        inputs.action = createRuleSelect(row, rule.action || 'always', [
+            ['always', 'Her zaman çevir', 'Always translate'],
+            ['never', 'Asla çevirme', 'Never translate'],
+            ['translateTo', 'Şu dile çevir', 'Translate to']
+        ]);
+        inputs.targetLang = createRuleSelect(row, rule.targetLang, [
+            ['', 'Dil', 'Language'],
+            ...Object.entries(ruleLanguageNames)
+        ]);
+        createRuleRemoveButton(row);
+
+        // The language only matters for "translate to"
+        const updateTargetLang = () => {
+            inputs.targetLang.disabled = inputs.action.value !== 'translateTo';
+        };
+        inputs.action.addEventListener('change', updateTargetLang);
+        updateTargetLang();
+
+        row.authorRuleInputs = inputs;
+        authorRuleElements.list.appendChild(row);
+        return inputs;
+    }
+
+    function renderAuthorRules(rules) {
+        authorRuleElements.list.innerHTML = '';
+        rules.forEach(rule => addAuthorRuleRow(rule));
+    }
+
+    // Author rules as entered in the form, rows without a user ID are ignored
+    function getAuthorRules() {
+        return Array.from(authorRuleElements.list.children)
+            .filter(row => row.authorRuleInputs.userId.value.trim())
+            .map(row => {
+                const inputs = row.authorRuleInputs;
+                const rule = {
+                    name: inputs.name.value.trim(),
+                    userId: inputs.userId.value.trim(),
+                    action: inputs.action.value
+                };
+                if (rule.action === 'translateTo') {
+                    rule.targetLang = inputs.targetLang.value;
+                }
+                return rule;
+            });
+    }
+
+    // Parse CSV with quoted fields, returns an array of rows
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',' || char === ';') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value.trim()));
+    }
+
+    function toCsvValue(value) {
+        const text = String(value || '');
+        return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Import rows of type,source,target,sourceLang,targetLang into the form.
+    // Type is "term" or "protected", imported terms replace rows with the same term and languages.
+    async function importGlossaryCsv(file) {
+        try {
+            const rows = parseCsv(await file.text());
+            const columns = ['type', 'source', 'target', 'sourcelang', 'targetlang'];
+            let header = columns;
+
+            if (rows.length > 0 && rows[0].map(value => value.trim().toLowerCase()).includes('source')) {
+                header = rows.shift().map(value => value.trim().toLowerCase().replace(/[\s_-]/g, ''));
+            }
+
+            const glossary = getGlossary();
+            const termKey = term => [term.sourceLang, term.source.toLowerCase(), term.targetLang].join('|');
+            const terms = new Map(glossary.terms.map(term => [termKey(term), term]));
+            const protectedTerms = new Set(glossary.protectedTerms);
+            let imported = 0;
+
+            rows.forEach(fields => {
+                const entry = {};
+                header.forEach((column, index) => {
+                    entry[column] = (fields[index] || '').trim();
+                });
+
+                if (entry.type && entry.type.toLowerCase() === 'protected') {
+                    if (entry.source) {
+                        protectedTerms.add(entry.source);
+                        imported++;
+                    }
+                } else if (entry.source && entry.target) {
+                    const term = {
+                        source: entry.source,
+                        target: entry.target,
+                        sourceLang: (entry.sourcelang || '').toLowerCase(),
+                        targetLang: (entry.targetlang || '').toLowerCase()
+                    };
+                    terms.set(termKey(term), term);
+                    imported++;
+                }
+            });
+
+            renderGlossary({ terms: Array.from(terms.values()), protectedTerms: Array.from(protectedTerms) });
+            validateFormVisually();
+            showStatus(
+                getTranslatedText(
+                    `${imported} sözlük kaydı içe aktarıldı, uygulamak için kaydedin`,
+                    `Imported ${imported} glossary entries, save to apply them`
+                ),
+                'info'
+            );
+        } catch (error) {
+            console.error('Error importing glossary:', error);
+            showStatus(`${getTranslatedText('Sözlük içe aktarılırken hata oluştu:', 'Error importing glossary:')} ${error.message}`, 'error');
+        }
+    }
+
+    function exportGlossaryCsv() {
+        const glossary = getGlossary();
+        const lines = [['type', 'source', 'target', 'sourceLang', 'targetLang'].join(',')];
+
+        glossary.terms.forEach(term => {
+            lines.push(['term', term.source, term.target, term.sourceLang, term.targetLang].map(toCsvValue).join(','));
+        });
+        glossary.protectedTerms.forEach(term => {
+            lines.push(['protected', term, '', '', ''].map(toCsvValue).join(','));
+        });
+
+        const url = URL.createObjectURL(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'discord-translator-glossary.csv';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function getReadingMode() {
+        if (form.readingModeAuto.checked) {
+            return 'auto';
+        }
+        return form.readingModeHover.checked ? 'hover' : 'click';
+    }
+
+    function updateHoverDelayVisibility() {
+        hoverDelayGroup.style.display = form.readingModeHover.checked ? 'block' : 'none';
+    }
+
+    function updateBilingualOptionsVisibility() {
+        bilingualOptions.style.display = form.displayStyleBilingual.checked ? 'block' : 'none';
+    }
 
     async function loadSettings() {
         try {
@@ -124,11 +1250,32 @@ document.addEventListener('DOMContentLoaded', async () => {
                 form.readingModeAuto.checked = true;
             } else if (settings.readingMode === 'click') {
                 form.readingModeClick.checked = true;
+            } else if (settings.readingMode === 'hover') {
+                form.readingModeHover.checked = true;
             } else {
                 console.warn('Invalid reading mode, defaulting to auto');
                 form.readingModeAuto.checked = true;
             }
 
+            form.hoverDelay.value = settings.hoverDelay || 600;
+            updateHoverDelayVisibility();
+
+            // Set display style, bilingual shows the translation beneath the original
+            if (settings.displayStyle === 'bilingual') {
+                form.displayStyleBilingual.checked = true;
+            } else {
+                form.displayStyleReplace.checked = true;
+            }
+            form.bilingualOrder.value = settings.bilingualOrder === 'translationFirst' ? 'translationFirst' : 'originalFirst';
+            form.bilingualCollapsed.checked = Boolean(settings.bilingualCollapsed);
+            form.selectionTranslation.checked = settings.selectionTranslation !== false;
+            form.translateEmbeds.checked = settings.translateEmbeds !== false;
+            renderChannelRules(Array.isArray(settings.channelRules) ? settings.channelRules : []);
+            renderAuthorRules(Array.isArray(settings.authorRules) ? settings.authorRules : []);
+            form.skipOwnMessages.checked = Boolean(settings.skipOwnMessages);
+            form.skipBotMessages.checked = Boolean(settings.skipBotMessages);
+            updateBilingualOptionsVisibility();
+
         // Set target languages for custom dropdowns
         setCustomDropdownValue('readingTargetLang', validateLanguage(settings.readingTargetLang, 'tr'));
         setCustomDropdownValue('writingTargetLang', validateLanguage(settings.writingTargetLang, 'en'));
@@ -136,6 +1283,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             // Set writing enabled
             form.writingEnabled.checked = Boolean(settings.writingEnabled);
 
+            // Set translation provider and its settings
+            setProviderConfigs(settings.providerSettings);
+            setSelectedProvider(settings.provider || 'google');
+            setFallbackProviders(settings.fallbackProviders);
+            await loadProviderHealth();
+
+            // Set translation cache limits
+            cacheElements.maxEntries.value = settings.cacheMaxEntries || 5000;
+            cacheElements.ttlHours.value = settings.cacheTtlHours || 168;
+
             // Load custom shortcut
             if (settings.customShortcut) {
                 currentShortcut = settings.customShortcut;
@@ -165,9 +1322,22 @@ document.addEventListener('DOMContentLoaded', async () => {
             console.log('Attempting to load default settings...');
             try {
                 form.readingModeClick.checked = true;
+                form.hoverDelay.value = 600;
+                updateHoverDelayVisibility();
+                form.displayStyleReplace.checked = true;
+                updateBilingualOptionsVisibility();
+                form.selectionTranslation.checked = true;
+                form.translateEmbeds.checked = true;
+                renderChannelRules([]);
+                renderAuthorRules([]);
+                form.skipOwnMessages.checked = false;
+                form.skipBotMessages.checked = false;
                 form.readingTargetLang.value = 'tr';
                 form.writingTargetLang.value = 'en';
                 form.writingEnabled.checked = true;
+                setSelectedProvider('google');
+                cacheElements.maxEntries.value = 5000;
+                cacheElements.ttlHours.value = 168;
                 showStatus(getTranslatedText('Varsayılan ayarlar yüklendi', 'Default settings loaded'), 'info');
             } catch (fallbackError) {
                 console.error('Failed to load default settings:', fallbackError);
@@ -175,8 +1345,40 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    function collectSettings() {
+        return {
+            readingMode: getReadingMode(),
+            hoverDelay: Number(form.hoverDelay.value),
+            readingTargetLang: getCustomDropdownValue('readingTargetLang'),
+            displayStyle: form.displayStyleBilingual.checked ? 'bilingual' : 'replace',
+            bilingualOrder: form.bilingualOrder.value,
+            bilingualCollapsed: form.bilingualCollapsed.checked,
+            selectionTranslation: form.selectionTranslation.checked,
+            translateEmbeds: form.translateEmbeds.checked,
+            channelRules: getChannelRules(),
+            authorRules: getAuthorRules(),
+            skipOwnMessages: form.skipOwnMessages.checked,
+            skipBotMessages: form.skipBotMessages.checked,
+            writingEnabled: form.writingEnabled.checked,
+            writingTargetLang: getCustomDropdownValue('writingTargetLang'),
+            provider: getSelectedProvider(),
+            providerSettings: getProviderSettings(),
+            fallbackProviders: getFallbackProviders(),
+            cacheMaxEntries: Number(cacheElements.maxEntries.value),
+            cacheTtlHours: Number(cacheElements.ttlHours.value),
+            customShortcut: currentShortcut || { ctrl: true, shift: false, alt: false, key: 'i' }
+        };
+    }
+
     async function saveSettings() {
+        // Must be requested before any await to keep the user gesture
+        const permissionGranted = await requestProviderHostPermission([getSelectedProvider(), ...getFallbackProviders()]);
+
         try {
+            if (!permissionGranted) {
+                throw new Error(getTranslatedText('Sunucu erişim izni verilmedi', 'Permission to access the server was denied'));
+            }
+
             // Validate form inputs before saving
             const validationErrors = validateForm();
             if (validationErrors.length > 0) {
@@ -188,13 +1390,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             saveBtn.disabled = true;
             showStatus(getTranslatedText('Ayarlar kaydediliyor...', 'Saving settings...'), 'info');
 
-            const settings = {
-                readingMode: form.readingModeAuto.checked ? 'auto' : 'click',
-                readingTargetLang: getCustomDropdownValue('readingTargetLang'),
-                writingEnabled: form.writingEnabled.checked,
-                writingTargetLang: getCustomDropdownValue('writingTargetLang'),
-                customShortcut: currentShortcut || { ctrl: true, shift: false, alt: false, key: 'i' }
-            };
+            const settings = collectSettings();
+
+            await saveApiKeys();
+            await saveGlossary();
 
             const response = await sendMessage({
                 action: 'saveSettings',
@@ -292,11 +1491,154 @@ document.addEventListener('DOMContentLoaded', async () => {
             errors.push(getTranslatedText('Yazma hedef dili seçilmelidir', 'Writing target language must be selected'));
         }
 
-        // API key validation removed - now hardcoded
+        // Validate selected provider settings
+        const libreTranslateUrlInvalid = getSelectedProvider() === 'libretranslate' &&
+            !isValidHttpUrl(getProviderConfig('libretranslate').url);
+        providerInputs.libreTranslateUrl.classList.toggle('invalid', libreTranslateUrlInvalid);
+        if (libreTranslateUrlInvalid) {
+            errors.push(getTranslatedText('Geçerli bir LibreTranslate adresi girilmelidir', 'A valid LibreTranslate URL must be entered'));
+        }
+
+        const openaiUrlInvalid = getSelectedProvider() === 'openai' && !isValidHttpUrl(getProviderConfig('openai').url);
+        providerInputs.openaiUrl.classList.toggle('invalid', openaiUrlInvalid);
+        if (openaiUrlInvalid) {
+            errors.push(getTranslatedText('Geçerli bir LLM API adresi girilmelidir', 'A valid LLM API URL must be entered'));
+        }
+
+        const openaiModelMissing = getSelectedProvider() === 'openai' && !getProviderConfig('openai').model;
+        providerInputs.openaiModel.classList.toggle('invalid', openaiModelMissing);
+        if (openaiModelMissing) {
+            errors.push(getTranslatedText('Model adı girilmelidir', 'A model name must be entered'));
+        }
+
+        // Validate hover delay
+        const hoverDelay = Number(form.hoverDelay.value);
+        const hoverDelayInvalid = form.readingModeHover.checked &&
+            (!Number.isInteger(hoverDelay) || hoverDelay < 100 || hoverDelay > 3000);
+        form.hoverDelay.classList.toggle('invalid', hoverDelayInvalid);
+        if (hoverDelayInvalid) {
+            errors.push(getTranslatedText('Bekleme süresi 100 ile 3000 ms arasında olmalıdır', 'Hover delay must be between 100 and 3000 ms'));
+        }
+
+        // Validate translation cache limits
+        const cacheMaxEntries = Number(cacheElements.maxEntries.value);
+        const cacheMaxEntriesInvalid = !Number.isInteger(cacheMaxEntries) || cacheMaxEntries < 100 || cacheMaxEntries > 50000;
+        cacheElements.maxEntries.classList.toggle('invalid', cacheMaxEntriesInvalid);
+        if (cacheMaxEntriesInvalid) {
+            errors.push(getTranslatedText('Önbellek boyutu 100 ile 50000 arasında olmalıdır', 'Cache size must be between 100 and 50000'));
+        }
+
+        const cacheTtlHours = Number(cacheElements.ttlHours.value);
+        const cacheTtlHoursInvalid = !Number.isInteger(cacheTtlHours) || cacheTtlHours < 1 || cacheTtlHours > 720;
+        cacheElements.ttlHours.classList.toggle('invalid', cacheTtlHoursInvalid);
+        if (cacheTtlHoursInvalid) {
+            errors.push(getTranslatedText('Saklama süresi 1 ile 720 saat arasında olmalıdır', 'Cache lifetime must be between 1 and 720 hours'));
+        }
+
+        // The selected provider needs its key unless the stored keys are locked
+        const selectedProvider = availableProviders.find(provider => provider.id === getSelectedProvider());
+        const apiKeyMissing = Boolean(selectedProvider) && selectedProvider.apiKeyMode === 'required' &&
+            !apiKeyStatus.locked && !getApiKey(selectedProvider.id);
+        Object.entries(apiKeyInputs).forEach(([providerId, input]) => {
+            input.classList.toggle('invalid', apiKeyMissing && providerId === selectedProvider.id);
+        });
+        if (apiKeyMissing) {
+            errors.push(getTranslatedText(`${selectedProvider.name} API anahtarı girilmelidir`, `A ${selectedProvider.name} API key must be entered`));
+        }
+
+        // A new encryption needs a passphrase, an existing one can be kept
+        const passphraseMissing = apiKeyElements.encrypt.checked && !apiKeyStatus.encrypted && !apiKeyElements.passphrase.value;
+        apiKeyElements.passphrase.classList.toggle('invalid', passphraseMissing);
+        if (passphraseMissing) {
+            errors.push(getTranslatedText('Şifreleme için parola girilmelidir', 'A passphrase must be entered for encryption'));
+        }
 
+        // Glossary rows need both sides, language codes are optional
+        let glossaryRowIncomplete = false;
+        let glossaryLangInvalid = false;
+        Array.from(glossaryElements.termList.children).forEach(row => {
+            const inputs = row.glossaryInputs;
+            const incomplete = Boolean(inputs.source.value.trim()) !== Boolean(inputs.target.value.trim());
+            inputs.source.classList.toggle('invalid', incomplete && !inputs.source.value.trim());
+            inputs.target.classList.toggle('invalid', incomplete && !inputs.target.value.trim());
+            glossaryRowIncomplete = glossaryRowIncomplete || incomplete;
+
+            [inputs.sourceLang, inputs.targetLang].forEach(input => {
+                const invalid = !/^([a-z]{2,3}|auto)?$/i.test(input.value.trim());
+                input.classList.toggle('invalid', invalid);
+                glossaryLangInvalid = glossaryLangInvalid || invalid;
+            });
+        });
+        if (glossaryRowIncomplete) {
+            errors.push(getTranslatedText('Sözlük terimlerinin iki tarafı da girilmelidir', 'Glossary terms need both a term and a translation'));
+        }
+        if (glossaryLangInvalid) {
+            errors.push(getTranslatedText('Sözlük dil kodları "en" gibi olmalıdır', 'Glossary language codes must look like "en"'));
+        }
+
+        // Channel rules need a valid link or server ID, one rule per server or channel
+        let channelRuleInvalid = false;
+        let channelRuleDuplicate = false;
+        const ruleLocations = new Set();
+        Array.from(channelRuleElements.list.children).forEach(row => {
+            const inputs = row.channelRuleInputs;
+            const value = inputs.location.value.trim();
+            const location = value ? parseRuleLocation(value) : null;
+            const invalid = value ? !location : Boolean(inputs.name.value.trim());
+            const key = location ? `${location.guildId}/${location.channelId}` : null;
+            const duplicate = Boolean(key) && ruleLocations.has(key);
+
+            inputs.location.classList.toggle('invalid', invalid || duplicate);
+            channelRuleInvalid = channelRuleInvalid || invalid;
+            channelRuleDuplicate = channelRuleDuplicate || duplicate;
+            if (key) {
+                ruleLocations.add(key);
+            }
+        });
+        if (channelRuleInvalid) {
+            errors.push(getTranslatedText('Kurallar için geçerli bir kanal bağlantısı veya sunucu kimliği girilmelidir', 'Rules need a valid channel link or server ID'));
+        }
+        if (channelRuleDuplicate) {
+            errors.push(getTranslatedText('Aynı sunucu veya kanal için yalnızca bir kural olabilir', 'Only one rule per server or channel is allowed'));
+        }
+
+        // Author rules need a numeric user ID, "translate to" also a language
+        let authorIdInvalid = false;
+        let authorLangMissing = false;
+        const authorIds = new Set();
+        Array.from(authorRuleElements.list.children).forEach(row => {
+            const inputs = row.authorRuleInputs;
+            const userId = inputs.userId.value.trim();
+            const idInvalid = userId ? !/^\d+$/.test(userId) || authorIds.has(userId) : Boolean(inputs.name.value.trim());
+            const langMissing = Boolean(userId) && inputs.action.value === 'translateTo' && !inputs.targetLang.value;
+
+            inputs.userId.classList.toggle('invalid', idInvalid);
+            inputs.targetLang.classList.toggle('invalid', langMissing);
+            authorIdInvalid = authorIdInvalid || idInvalid;
+            authorLangMissing = authorLangMissing || langMissing;
+            if (userId) {
+                authorIds.add(userId);
+            }
+        });
+        if (authorIdInvalid) {
+            errors.push(getTranslatedText('Yazar kuralları için farklı ve geçerli kullanıcı ID\'leri girilmelidir', 'Author rules need distinct, valid user IDs'));
+        }
+        if (authorLangMissing) {
+            errors.push(getTranslatedText('"Şu dile çevir" kuralları için dil seçilmelidir', '"Translate to" rules need a language'));
+        }
+
+        // The sync quota is checked by the background on save, its error is shown in the status
         return errors;
     }
 
+    function isValidHttpUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
     // Visual validation functions
     function validateFormVisually() {
         const errors = validateForm();
@@ -313,8 +1655,6 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    // API key visual validation removed - now hardcoded
-
     // Copy EVM address function
     async function copyEvmAddress() {
         try {
@@ -410,6 +1750,15 @@ document.addEventListener('DOMContentLoaded', async () => {
                 }
             });
 
+            // Update placeholder attributes
+            const placeholderElements = document.querySelectorAll('[data-tr-placeholder][data-en-placeholder]');
+            placeholderElements.forEach(element => {
+                const placeholder = element.getAttribute(`data-${lang}-placeholder`);
+                if (placeholder) {
+                    element.placeholder = placeholder;
+                }
+            });
+
             // Update document title
             const titleElement = document.querySelector('title');
             if (titleElement) {
@@ -4,9 +4,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     const openOptionsBtn = document.getElementById('openOptions');
     const extensionStatus = document.getElementById('extensionStatus');
     const translationMode = document.getElementById('translationMode');
+    const channelRuleCard = document.getElementById('channelRuleCard');
+    let activeTabUrl = null;
 
     // Event listeners
     openOptionsBtn.addEventListener('click', openOptionsPage);
+    channelRuleCard.querySelectorAll('.channel-rule-option').forEach(option => {
+        option.addEventListener('click', () => setChannelMode(option.dataset.mode));
+    });
     
     // Copy button functionality
     const copyBtn = document.getElementById('popupCopyBtn');
@@ -23,10 +28,22 @@ document.addEventListener('DOMContentLoaded', async () => {
         window.close();
     }
 
+    // URL of the active tab, only Discord pages are readable with the host permissions
+    async function getActiveTabUrl() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            return tab && tab.url ? tab.url : null;
+        } catch (error) {
+            console.error('Error getting active tab:', error);
+            return null;
+        }
+    }
+
     async function loadStatus() {
         try {
-            // Test if extension is working
-            const response = await sendMessage({ action: 'getSettings' });
+            // Test if extension is working, on Discord the settings of the open channel are shown
+            activeTabUrl = await getActiveTabUrl();
+            const response = await sendMessage({ action: 'getSettings', url: activeTabUrl });
             
             if (response && response.success) {
                 const currentLang = localStorage.getItem('discord-translator-language') || 'en';
@@ -34,10 +51,16 @@ document.addEventListener('DOMContentLoaded', async () => {
                 extensionStatus.style.background = 'rgba(76, 175, 80, 0.3)';
                 
                 // Show translation mode
-                const mode = response.settings.readingMode === 'auto' 
-                    ? (currentLang === 'tr' ? 'Otomatik' : 'Auto') 
-                    : (currentLang === 'tr' ? 'Tıkla-Çevir' : 'Click to Translate');
+                const modeNames = {
+                    auto: currentLang === 'tr' ? 'Otomatik' : 'Auto',
+                    click: currentLang === 'tr' ? 'Tıkla-Çevir' : 'Click to Translate',
+                    hover: currentLang === 'tr' ? 'Üzerine Gel' : 'Hover to Translate',
+                    off: currentLang === 'tr' ? 'Kapalı' : 'Off'
+                };
+                const mode = modeNames[response.settings.readingMode] || modeNames.click;
                 translationMode.textContent = mode;
+
+                updateChannelRule(response.channel, response.channelRule);
             } else {
                 throw new Error('Settings could not be loaded');
             }
@@ -50,6 +73,44 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // Quick rule for the open channel, only shown on a Discord channel
+    function updateChannelRule(channel, channelRule) {
+        channelRuleCard.hidden = !channel || !channel.channelId;
+        if (channelRuleCard.hidden) {
+            return;
+        }
+
+        // A rule of the whole server is managed on the options page
+        let selectedMode = 'default';
+        if (channelRule && channelRule.channelId === channel.channelId) {
+            selectedMode = channelRule.enabled ? (channelRule.readingMode || 'default') : 'off';
+        }
+
+        channelRuleCard.querySelectorAll('.channel-rule-option').forEach(option => {
+            option.classList.toggle('active', option.dataset.mode === selectedMode);
+        });
+    }
+
+    async function setChannelMode(mode) {
+        // Default only clears the reading mode, a name or target languages set on the options page stay
+        let rule = { enabled: true, readingMode: null };
+        if (mode === 'off') {
+            rule = { enabled: false };
+        } else if (mode !== 'default') {
+            rule = { enabled: true, readingMode: mode };
+        }
+
+        try {
+            const response = await sendMessage({ action: 'setChannelRule', url: activeTabUrl, rule: rule });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            await loadStatus();
+        } catch (error) {
+            console.error('Error setting channel rule:', error);
+        }
+    }
+
     // Language preference loading function
     async function loadLanguagePreference() {
         try {